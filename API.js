@@ -8,10 +8,11 @@
  *   ?action=entities     — Returns Entities table
  *   ?action=securities   — Returns Securities table
  *   ?action=schema       — Returns validation schema (fields, enums, required)
+ *   ?action=rbi          — Returns RBI ageing buckets not OK as of today (or &asOf=YYYY-MM-DD)
  *
  * POST endpoints (via action in JSON body):
- *   { "action": "ingest", "trades": [...], "cashMovements": [...], "lotActions": [...] }
- *   { "action": "validate", "trades": [...], "cashMovements": [...], "lotActions": [...] }
+ *   { "action": "ingest", "trades": [...], "cashMovements": [...], "lotActions": [...], "saleLotSelections": [...] }
+ *   { "action": "validate", "trades": [...], "cashMovements": [...], "lotActions": [...], "saleLotSelections": [...] }
  */
 
 /* ─── GET handler ─── */
@@ -33,6 +34,9 @@ function doGet(e) {
         case 'schema':
             result = handleSchema_();
             break;
+        case 'rbi':
+            result = handleRbi_(e.parameter.asOf);
+            break;
         default:
             result = { status: 'error', errors: [{ code: 'UNKNOWN_ACTION', message: 'Unknown action: ' + action }] };
     }
@@ -84,6 +88,20 @@ function handleRead_(tableName) {
     }
 }
 
+/* ─── RBI ageing handler ─── */
+
+function handleRbi_(asOf) {
+    if (asOf && !DATE_RE_.test(asOf)) {
+        return { status: 'error', errors: [{ code: 'INVALID_DATE', field: 'asOf', value: asOf, message: 'asOf must be YYYY-MM-DD' }] };
+    }
+    try {
+        var atRisk = rbiAgeing_(asOf || new Date()).filter(function (b) { return b.Status !== 'OK'; });
+        return { status: 'ok', data: atRisk };
+    } catch (err) {
+        return { status: 'error', errors: [{ code: 'READ_FAILED', message: err.message }] };
+    }
+}
+
 /* ─── Schema handler ─── */
 
 function handleSchema_() {
@@ -109,6 +127,11 @@ function handleSchema_() {
                 fields: BOND_TXN_FIELDS_,
                 required: ['BondTxnId', 'TxnDate', 'OwnerId', 'AccountId', 'BrokerId', 'BondType', 'Side', 'Currency', 'FaceValue', 'Price', 'Quantity', 'FXRate', 'MaturityDate', 'Notes', 'SourceRef'],
                 idField: 'BondTxnId'
+            },
+            saleLotSelections: {
+                fields: SALE_LOT_SELECTION_FIELDS_,
+                required: ['SelectionId', 'TradeId', 'SourceId', 'Quantity', 'Notes', 'SourceRef'],
+                idField: 'SelectionId'
             }
         }
     };
@@ -142,7 +165,9 @@ var CASH_MOVEMENT_FIELDS_ = {
     Category:       { type: 'enum', values: ['DIVIDEND', 'INTEREST', 'TAX', 'FEE', 'DEPOSIT', 'WITHDRAWAL', 'FOREX', 'OTHER', 'BUY_SETTLEMENT', 'SELL_PROCEEDS', 'SALE_PROCEEDS', 'REINVESTMENT', 'REPATRIATION', 'OPENING_BALANCE'] },
     LinkedTradeId:  { type: 'string' },
     LinkedActionId: { type: 'string' },
+    LinkedCashTxnId: { type: 'string', optional: true },
     IsForeignIncome: { type: 'boolean' },
+    SecurityId:     { type: 'string', optional: true },
     Notes:          { type: 'string' },
     SourceRef:      { type: 'string' }
 };
@@ -150,7 +175,7 @@ var CASH_MOVEMENT_FIELDS_ = {
 var LOT_ACTION_FIELDS_ = {
     ActionId:        { type: 'identifier', autoGenerate: true },
     ActionDate:      { type: 'date' },
-    ActionType:      { type: 'enum', values: ['SPLIT', 'BONUS', 'MERGER', 'CLASS_REORG', 'GIFT', 'TRANSFER'] },
+    ActionType:      { type: 'enum', values: ['SPLIT', 'BONUS', 'MERGER', 'DEMERGER', 'RIGHTS', 'RIGHTS_SUBSCRIPTION', 'BUYBACK', 'CLASS_REORG', 'GIFT', 'TRANSFER'] },
     OwnerFromId:     { type: 'string' },
     OwnerToId:       { type: 'string' },
     BrokerFromId:    { type: 'string' },
@@ -162,6 +187,12 @@ var LOT_ACTION_FIELDS_ = {
     SplitNumerator:  { type: 'numberOrBlank' },
     SplitDenominator: { type: 'numberOrBlank' },
     Quantity:        { type: 'numberOrBlank' },
+    CashInLieuPrice: { type: 'numberOrBlank', optional: true },
+    CashPerShare:    { type: 'numberOrBlank', optional: true },
+    AcquirerPrice:   { type: 'numberOrBlank', optional: true },
+    FXRateToINR:     { type: 'numberOrBlank', optional: true },
+    CostApportionPct: { type: 'numberOrBlank', optional: true },
+    Price:           { type: 'numberOrBlank', optional: true },
     Notes:           { type: 'string' },
     SourceRef:       { type: 'string' }
 };
@@ -184,16 +215,26 @@ var BOND_TXN_FIELDS_ = {
     SourceRef:   { type: 'string' }
 };
 
+var SALE_LOT_SELECTION_FIELDS_ = {
+    SelectionId: { type: 'identifier', autoGenerate: true },
+    TradeId:     { type: 'identifier' },
+    SourceId:    { type: 'identifier' },
+    Quantity:    { type: 'number', exclusiveMin: 0 },
+    Notes:       { type: 'string' },
+    SourceRef:   { type: 'string' }
+};
+
 var TABLE_DEFS_ = {
     trades:        { sheetName: 'Trades',        fields: TRADE_FIELDS_,         idField: 'TradeId' },
     cashMovements: { sheetName: 'CashMovements', fields: CASH_MOVEMENT_FIELDS_, idField: 'CashTxnId' },
     lotActions:    { sheetName: 'LotActions',     fields: LOT_ACTION_FIELDS_,    idField: 'ActionId' },
-    bondTransactions: { sheetName: 'Bond_Transactions', fields: BOND_TXN_FIELDS_, idField: 'BondTxnId' }
+    bondTransactions: { sheetName: 'Bond_Transactions', fields: BOND_TXN_FIELDS_, idField: 'BondTxnId' },
+    saleLotSelections: { sheetName: 'SaleLotSelections', fields: SALE_LOT_SELECTION_FIELDS_, idField: 'SelectionId' }
 };
 
 /* ─── Auto-increment ID generation ─── */
 
-var ID_PREFIXES_ = { trades: 'T', cashMovements: 'CM', lotActions: 'L', bondTransactions: 'BT' };
+var ID_PREFIXES_ = { trades: 'T', cashMovements: 'CM', lotActions: 'L', bondTransactions: 'BT', saleLotSelections: 'LS' };
 
 /**
  * For each table in the payload, fills in missing IDs with auto-incremented values.
@@ -202,7 +243,7 @@ var ID_PREFIXES_ = { trades: 'T', cashMovements: 'CM', lotActions: 'L', bondTran
 function generateIds_(payload) {
     var generated = {};
 
-    var tableKeys = ['trades', 'cashMovements', 'lotActions', 'bondTransactions'];
+    var tableKeys = ['trades', 'cashMovements', 'lotActions', 'bondTransactions', 'saleLotSelections'];
     for (var t = 0; t < tableKeys.length; t++) {
         var key = tableKeys[t];
         var rows = payload[key] || [];
@@ -286,8 +327,9 @@ function validateRows_(rows, tableName, fields) {
             var spec = fields[field];
             var val = row[field];
 
-            // Missing field
+            // Missing field (optional fields may be left out)
             if (val === undefined || val === null) {
+                if (spec.optional) continue;
                 errors.push({ table: tableName, row: i, field: field, value: null, code: 'REQUIRED_FIELD', message: 'Missing required field: ' + field });
                 continue;
             }
@@ -395,12 +437,26 @@ function checkReferentialIntegrity_(payload) {
 
     // Check cash movements
     var cashMovements = payload.cashMovements || [];
+    // LinkedCashTxnId (withholding TAX -> DIVIDEND, WITHDRAWAL -> landing DEPOSIT) may point at
+    // an existing row or one in this batch
+    var linkTargets = { TAX: 'DIVIDEND', WITHDRAWAL: 'DEPOSIT' };
+    var cashCategory = {};
+    var existingCash = [];
+    try { existingCash = readTable('CashMovements'); } catch (e) { /* sheet may not exist yet */ }
+    var allCash = existingCash.concat(cashMovements);
+    for (var d = 0; d < allCash.length; d++) cashCategory[allCash[d].CashTxnId] = allCash[d].Category;
     for (var c = 0; c < cashMovements.length; c++) {
         var cm = cashMovements[c];
         if (cm.OwnerId && !ownerIds[cm.OwnerId])
             errors.push({ table: 'CashMovements', row: c, field: 'OwnerId', value: cm.OwnerId, code: 'FK_INVALID', message: "OwnerId '" + cm.OwnerId + "' not found in Entities (OWNER)" });
         if (cm.AccountId && !accountIds[cm.AccountId])
             errors.push({ table: 'CashMovements', row: c, field: 'AccountId', value: cm.AccountId, code: 'FK_INVALID', message: "AccountId '" + cm.AccountId + "' not found in Entities (ACCOUNT)" });
+        if (cm.SecurityId && !securityIds[cm.SecurityId])
+            errors.push({ table: 'CashMovements', row: c, field: 'SecurityId', value: cm.SecurityId, code: 'FK_INVALID', message: "SecurityId '" + cm.SecurityId + "' not found in Securities" });
+        if (cm.LinkedCashTxnId && !cashCategory[cm.LinkedCashTxnId])
+            errors.push({ table: 'CashMovements', row: c, field: 'LinkedCashTxnId', value: cm.LinkedCashTxnId, code: 'FK_INVALID', message: "LinkedCashTxnId '" + cm.LinkedCashTxnId + "' not found in CashMovements" });
+        else if (cm.LinkedCashTxnId && linkTargets[cm.Category] && cashCategory[cm.LinkedCashTxnId] !== linkTargets[cm.Category])
+            errors.push({ table: 'CashMovements', row: c, field: 'LinkedCashTxnId', value: cm.LinkedCashTxnId, code: 'FK_INVALID', message: cm.Category + " LinkedCashTxnId '" + cm.LinkedCashTxnId + "' must be a " + linkTargets[cm.Category] + " in CashMovements" });
     }
 
     // Check lot actions
@@ -436,6 +492,7 @@ function checkDuplicateIds_(payload) {
     var existingCashIds = {};
     var existingActionIds = {};
     var existingBondTxnIds = {};
+    var existingSelectionIds = {};
 
     try {
         var trades = readTable('Trades');
@@ -457,6 +514,11 @@ function checkDuplicateIds_(payload) {
         for (var l = 0; l < bondTxnsExisting.length; l++) existingBondTxnIds[bondTxnsExisting[l].BondTxnId] = true;
     } catch (e) { /* sheet may not exist yet */ }
 
+    try {
+        var selectionsExisting = readTable('SaleLotSelections');
+        for (var ls = 0; ls < selectionsExisting.length; ls++) existingSelectionIds[selectionsExisting[ls].SelectionId] = true;
+    } catch (e) { /* sheet may not exist yet */ }
+
     // Check new trades
     var newTrades = payload.trades || [];
     var batchTradeIds = {};
@@ -527,33 +589,195 @@ function checkDuplicateIds_(payload) {
         batchBondTxnIds[btid] = true;
     }
 
+    // Check new sale lot selections
+    var newSelections = payload.saleLotSelections || [];
+    var batchSelectionIds = {};
+    for (var sl = 0; sl < newSelections.length; sl++) {
+        var slid = newSelections[sl].SelectionId;
+        if (existingSelectionIds[slid])
+            errors.push({ table: 'SaleLotSelections', row: sl, field: 'SelectionId', value: slid, code: 'DUPLICATE_ID', message: "SelectionId '" + slid + "' already exists" });
+        if (batchSelectionIds[slid])
+            errors.push({ table: 'SaleLotSelections', row: sl, field: 'SelectionId', value: slid, code: 'DUPLICATE_ID', message: "SelectionId '" + slid + "' duplicated in batch" });
+        batchSelectionIds[slid] = true;
+    }
+
+    return errors;
+}
+
+/* ─── Sale lot selection checks ─── */
+
+/**
+ * Each selection must name a SELL trade (in this payload or already ingested) and the
+ * SourceId (BUY TradeId or ActionId) of lots that the trade's owner holds in its security,
+ * within the trade's FIFO_Scope account or broker, before the sale date. Lot state is replayed from the ledger as of that date, so later
+ * sales in Lots_Current do not count against it.
+ */
+function checkSaleLotSelections_(payload) {
+    var errors = [];
+    var selections = payload.saleLotSelections || [];
+    if (selections.length === 0) return errors;
+
+    var tradesById = {};
+    try {
+        var existingTrades = readTable('Trades');
+        for (var i = 0; i < existingTrades.length; i++) tradesById[existingTrades[i].TradeId] = existingTrades[i];
+    } catch (e) { /* sheet may not exist yet */ }
+    var newTrades = payload.trades || [];
+    for (var j = 0; j < newTrades.length; j++) tradesById[newTrades[j].TradeId] = newTrades[j];
+
+    var taxRules = [];
+    var secs = {};
+    try {
+        taxRules = readTable('Config');
+        readTable('Securities').forEach(function (sec) { secs[sec.SecurityId] = sec; });
+    } catch (e) { /* sheets may not exist yet */ }
+
+    var lotsBySaleDate = {};
+    function openLotsBefore(date) {
+        if (!lotsBySaleDate[date]) {
+            try {
+                lotsBySaleDate[date] = replayLots_(date).lots.filter(function (l) { return l.OpenQty > 0; });
+            } catch (e) { lotsBySaleDate[date] = []; /* sheets may not exist yet */ }
+        }
+        return lotsBySaleDate[date];
+    }
+
+    for (var s = 0; s < selections.length; s++) {
+        var sel = selections[s];
+        var trade = tradesById[sel.TradeId];
+
+        if (!trade) {
+            errors.push({ table: 'SaleLotSelections', row: s, field: 'TradeId', value: sel.TradeId, code: 'FK_INVALID', message: "TradeId '" + sel.TradeId + "' not found in Trades" });
+            continue;
+        }
+        if (trade.Side !== 'SELL') {
+            errors.push({ table: 'SaleLotSelections', row: s, field: 'TradeId', value: sel.TradeId, code: 'TRADE_NOT_SELL', message: "TradeId '" + sel.TradeId + "' is a " + trade.Side + ", lots can only be selected for SELL trades" });
+            continue;
+        }
+
+        var saleDate = isoDate_(trade.TradeDate);
+        var fromSource = openLotsBefore(saleDate).filter(function (l) { return l.SourceId === sel.SourceId; });
+        if (fromSource.length === 0) {
+            errors.push({ table: 'SaleLotSelections', row: s, field: 'SourceId', value: sel.SourceId, code: 'LOT_CLOSED', message: "No lot from '" + sel.SourceId + "' is open before " + saleDate });
+            continue;
+        }
+        var owned = fromSource.filter(function (l) { return l.OwnerId === trade.OwnerId; });
+        if (owned.length === 0) {
+            errors.push({ table: 'SaleLotSelections', row: s, field: 'SourceId', value: sel.SourceId, code: 'LOT_OWNER_MISMATCH', message: "Lots from '" + sel.SourceId + "' belong to " + fromSource[0].OwnerId + ", not " + trade.OwnerId });
+            continue;
+        }
+        var held = owned.filter(function (l) { return l.SecurityId === trade.SecurityId; });
+        if (held.length === 0) {
+            errors.push({ table: 'SaleLotSelections', row: s, field: 'SourceId', value: sel.SourceId, code: 'LOT_SECURITY_MISMATCH', message: "Lots from '" + sel.SourceId + "' hold " + owned[0].SecurityId + ", not " + trade.SecurityId });
+            continue;
+        }
+        var scope = secs[trade.SecurityId] ? fifoScope_(taxRules, secs[trade.SecurityId].AssetClass, saleDate) : 'OWNER';
+        var inScope = held.filter(function (l) {
+            return (scope !== 'ACCOUNT' || !trade.AccountId || l.AccountId === trade.AccountId) &&
+                (scope !== 'BROKER' || !trade.BrokerId || l.BrokerId === trade.BrokerId);
+        });
+        if (inScope.length === 0) {
+            var where = scope === 'ACCOUNT' ? 'account ' + trade.AccountId : 'broker ' + trade.BrokerId;
+            errors.push({ table: 'SaleLotSelections', row: s, field: 'SourceId', value: sel.SourceId, code: 'LOT_SCOPE_MISMATCH', message: "Lots from '" + sel.SourceId + "' are not in " + where + " (FIFO_Scope " + scope + ")" });
+            continue;
+        }
+        var openQty = inScope.reduce(function (sum, l) { return sum + l.OpenQty; }, 0);
+        if (Number(sel.Quantity) > openQty)
+            errors.push({ table: 'SaleLotSelections', row: s, field: 'Quantity', value: sel.Quantity, code: 'LOT_QTY_EXCEEDED', message: "Quantity " + sel.Quantity + " exceeds open quantity " + openQty + " from " + sel.SourceId + " on " + saleDate });
+    }
+
     return errors;
 }
 
 /* ─── Cross-field validation for LotActions ─── */
 
-var SPLIT_MUST_BE_EMPTY_ = ['OwnerFromId', 'OwnerToId', 'BrokerFromId', 'BrokerToId', 'AccountFromId', 'AccountToId', 'SecurityToId', 'Quantity'];
-var SPLIT_MUST_BE_FILLED_ = ['SecurityId', 'SplitNumerator', 'SplitDenominator'];
+// Per action type: fields that must be empty / filled. Error codes are INVALID_FOR_<type> / REQUIRED_FOR_<type>.
+var LOT_ACTION_RULES_ = {
+    SPLIT: {
+        mustBeEmpty: ['OwnerFromId', 'OwnerToId', 'BrokerFromId', 'BrokerToId', 'AccountFromId', 'AccountToId', 'SecurityToId', 'Quantity'],
+        mustBeFilled: ['SecurityId', 'SplitNumerator', 'SplitDenominator'],
+        reason: 'splits are global'
+    },
+    DEMERGER: {
+        mustBeEmpty: ['OwnerFromId', 'OwnerToId', 'BrokerFromId', 'BrokerToId', 'AccountFromId', 'AccountToId', 'Quantity'],
+        mustBeFilled: ['SecurityId', 'SecurityToId', 'SplitNumerator', 'SplitDenominator', 'CostApportionPct'],
+        reason: 'demergers apply to every holder'
+    },
+    RIGHTS: {
+        mustBeEmpty: ['OwnerFromId', 'OwnerToId', 'BrokerFromId', 'BrokerToId', 'AccountFromId', 'AccountToId', 'Quantity', 'Price'],
+        mustBeFilled: ['SecurityId', 'SecurityToId', 'SplitNumerator', 'SplitDenominator'],
+        reason: 'entitlements go to every holder'
+    },
+    RIGHTS_SUBSCRIPTION: {
+        mustBeEmpty: ['OwnerToId', 'BrokerToId', 'AccountToId', 'SplitNumerator', 'SplitDenominator'],
+        mustBeFilled: ['OwnerFromId', 'SecurityId', 'SecurityToId', 'Quantity', 'Price', 'FXRateToINR'],
+        reason: 'allotted shares stay with the holder of the entitlements'
+    },
+    BUYBACK: {
+        mustBeEmpty: ['OwnerToId', 'BrokerToId', 'AccountToId', 'SecurityToId', 'SplitNumerator', 'SplitDenominator'],
+        mustBeFilled: ['OwnerFromId', 'BrokerFromId', 'AccountFromId', 'SecurityId', 'Quantity', 'Price', 'FXRateToINR'],
+        reason: 'tendered shares are extinguished'
+    }
+};
+
+function isBlank_(value) {
+    return value === undefined || value === null || value === '';
+}
 
 function validateLotActionRules_(lotActions) {
     var errors = [];
     for (var i = 0; i < lotActions.length; i++) {
         var la = lotActions[i];
-        if (la.ActionType !== 'SPLIT') continue;
+        if (la.ActionType === 'MERGER' && !isBlank_(la.CashInLieuPrice) && !(Number(la.FXRateToINR) > 0)) {
+            errors.push({ table: 'LotActions', row: i, field: 'FXRateToINR', value: la.FXRateToINR, code: 'REQUIRED_FOR_CASH_IN_LIEU', message: 'FXRateToINR is required when CashInLieuPrice is set (use 1 for INR)' });
+        }
+
+        // A merger pays stock (SplitNumerator/SplitDenominator of SecurityToId), cash (CashPerShare) or both
+        if (la.ActionType === 'MERGER') {
+            var paysStock = Number(la.SplitNumerator) > 0;
+            if (!paysStock && !(Number(la.CashPerShare) > 0)) {
+                errors.push({ table: 'LotActions', row: i, field: 'SplitNumerator', value: la.SplitNumerator, code: 'REQUIRED_FOR_MERGER', message: 'SplitNumerator (stock) or CashPerShare (cash) is required for MERGER actions' });
+            }
+            if (paysStock && isBlank_(la.SecurityToId)) {
+                errors.push({ table: 'LotActions', row: i, field: 'SecurityToId', value: la.SecurityToId, code: 'REQUIRED_FOR_MERGER', message: 'SecurityToId is required when the merger pays stock' });
+            }
+            // Below 1:1 a small holding is entitled to less than one new share, so only cash in lieu carries its cost
+            if (paysStock && Number(la.SplitNumerator) < Number(la.SplitDenominator) && isBlank_(la.CashInLieuPrice)) {
+                errors.push({ table: 'LotActions', row: i, field: 'CashInLieuPrice', value: la.CashInLieuPrice, code: 'REQUIRED_FOR_CASH_IN_LIEU', message: 'CashInLieuPrice is required when SplitNumerator/SplitDenominator is below 1' });
+            }
+        }
+
+        // Mixed cash-and-stock merger: cost is split by value, so the stock leg needs a price
+        if (la.ActionType === 'MERGER' && !isBlank_(la.CashPerShare)) {
+            if (isBlank_(la.CashInLieuPrice) && !(Number(la.FXRateToINR) > 0)) {
+                errors.push({ table: 'LotActions', row: i, field: 'FXRateToINR', value: la.FXRateToINR, code: 'REQUIRED_FOR_MERGER_CASH', message: 'FXRateToINR is required when CashPerShare is set (use 1 for INR)' });
+            }
+            if (Number(la.SplitNumerator) > 0 && !(Number(la.AcquirerPrice) > 0)) {
+                errors.push({ table: 'LotActions', row: i, field: 'AcquirerPrice', value: la.AcquirerPrice, code: 'REQUIRED_FOR_MERGER_CASH', message: 'AcquirerPrice is required when CashPerShare is set and the merger also pays stock' });
+            }
+        }
 
-        for (var e = 0; e < SPLIT_MUST_BE_EMPTY_.length; e++) {
-            var field = SPLIT_MUST_BE_EMPTY_[e];
-            if (la[field] !== undefined && la[field] !== null && la[field] !== '') {
-                errors.push({ table: 'LotActions', row: i, field: field, value: la[field], code: 'INVALID_FOR_SPLIT', message: field + ' must be empty for SPLIT actions (splits are global)' });
+        var rules = LOT_ACTION_RULES_[la.ActionType];
+        if (!rules) continue;
+
+        for (var e = 0; e < rules.mustBeEmpty.length; e++) {
+            var field = rules.mustBeEmpty[e];
+            if (!isBlank_(la[field])) {
+                errors.push({ table: 'LotActions', row: i, field: field, value: la[field], code: 'INVALID_FOR_' + la.ActionType, message: field + ' must be empty for ' + la.ActionType + ' actions (' + rules.reason + ')' });
             }
         }
 
-        for (var r = 0; r < SPLIT_MUST_BE_FILLED_.length; r++) {
-            var rfield = SPLIT_MUST_BE_FILLED_[r];
-            if (la[rfield] === undefined || la[rfield] === null || la[rfield] === '') {
-                errors.push({ table: 'LotActions', row: i, field: rfield, value: la[rfield], code: 'REQUIRED_FOR_SPLIT', message: rfield + ' is required for SPLIT actions' });
+        for (var r = 0; r < rules.mustBeFilled.length; r++) {
+            var rfield = rules.mustBeFilled[r];
+            if (isBlank_(la[rfield])) {
+                errors.push({ table: 'LotActions', row: i, field: rfield, value: la[rfield], code: 'REQUIRED_FOR_' + la.ActionType, message: rfield + ' is required for ' + la.ActionType + ' actions' });
             }
         }
+
+        if (la.ActionType === 'DEMERGER' && !isBlank_(la.CostApportionPct) &&
+            !(Number(la.CostApportionPct) >= 0 && Number(la.CostApportionPct) <= 100)) {
+            errors.push({ table: 'LotActions', row: i, field: 'CostApportionPct', value: la.CostApportionPct, code: 'INVALID_FOR_DEMERGER', message: 'CostApportionPct must be between 0 and 100' });
+        }
     }
     return errors;
 }
@@ -568,9 +792,10 @@ function runValidation_(payload) {
     var cashMovements = payload.cashMovements || [];
     var lotActions = payload.lotActions || [];
     var bondTransactions = payload.bondTransactions || [];
+    var saleLotSelections = payload.saleLotSelections || [];
 
-    if (trades.length === 0 && cashMovements.length === 0 && lotActions.length === 0 && bondTransactions.length === 0) {
-        return { status: 'error', errors: [{ code: 'INPUT_PARSE_ERROR', message: 'At least one of trades, cashMovements, lotActions, or bondTransactions must be non-empty' }] };
+    if (trades.length === 0 && cashMovements.length === 0 && lotActions.length === 0 && bondTransactions.length === 0 && saleLotSelections.length === 0) {
+        return { status: 'error', errors: [{ code: 'INPUT_PARSE_ERROR', message: 'At least one of trades, cashMovements, lotActions, bondTransactions, or saleLotSelections must be non-empty' }] };
     }
 
     // Step 0: Auto-generate missing IDs
@@ -585,6 +810,8 @@ function runValidation_(payload) {
         errors = errors.concat(validateRows_(lotActions, 'LotActions', LOT_ACTION_FIELDS_));
     if (bondTransactions.length > 0)
         errors = errors.concat(validateRows_(bondTransactions, 'Bond_Transactions', BOND_TXN_FIELDS_));
+    if (saleLotSelections.length > 0)
+        errors = errors.concat(validateRows_(saleLotSelections, 'SaleLotSelections', SALE_LOT_SELECTION_FIELDS_));
 
     // Step 1b: Cross-field validation (runs even if schema has errors in other tables)
     if (lotActions.length > 0)
@@ -595,19 +822,51 @@ function runValidation_(payload) {
         return { status: 'error', errors: errors };
     }
 
-    // Step 2: Referential integrity + Duplicate IDs (independent, run together)
+    // Step 2: Referential integrity + Duplicate IDs + lot selections (independent, run together)
     errors = errors.concat(checkReferentialIntegrity_(payload));
     errors = errors.concat(checkDuplicateIds_(payload));
+    errors = errors.concat(checkSaleLotSelections_(payload));
 
     if (errors.length > 0) {
         return { status: 'error', errors: errors };
     }
 
-    var result = { status: 'ok', appended: { trades: trades.length, cashMovements: cashMovements.length, lotActions: lotActions.length, bondTransactions: bondTransactions.length } };
+    // Step 3: Warnings (do not block the ingest)
+    var warnings = checkLrsLimit_(payload);
+
+    var result = { status: 'ok', appended: { trades: trades.length, cashMovements: cashMovements.length, lotActions: lotActions.length, bondTransactions: bondTransactions.length, saleLotSelections: saleLotSelections.length } };
     if (Object.keys(generatedIds).length > 0) result.generatedIds = generatedIds;
+    if (warnings.length > 0) result.warnings = warnings;
     return result;
 }
 
+function checkLrsLimit_(payload) {
+    var warnings = [];
+    var cashMovements = payload.cashMovements || [];
+    if (cashMovements.length === 0) return warnings;
+
+    var existing = [];
+    try { existing = readTable('CashMovements'); } catch (e) { /* sheet may not exist yet */ }
+    var utilisation = lrsUtilisation_(existing.concat(cashMovements));
+
+    // Only owner/FYs this payload remits into
+    var touched = {};
+    for (var c = 0; c < cashMovements.length; c++) {
+        var cm = cashMovements[c];
+        if (cm.Category === 'DEPOSIT') touched[cm.OwnerId + '|' + fyFromDate(cm.TxnDate)] = true;
+    }
+    for (var u = 0; u < utilisation.length; u++) {
+        var row = utilisation[u];
+        if (touched[row.OwnerId + '|' + row.FinancialYear] && row.HeadroomUSD < 0) {
+            warnings.push({
+                table: 'CashMovements', field: 'Amount', value: row.RemittedUSD, code: 'LRS_LIMIT_EXCEEDED',
+                message: row.OwnerId + ' would remit USD ' + Math.round(row.RemittedUSD) + ' in FY ' + row.FinancialYear + ', above the LRS limit of USD ' + row.LimitUSD
+            });
+        }
+    }
+    return warnings;
+}
+
 /* ─── Ingest pipeline ─── */
 
 function runIngest_(payload) {
@@ -620,7 +879,7 @@ function runIngest_(payload) {
     // Append rows to sheets, tracking what was added for rollback
     var appended = [];
     try {
-        var tableKeys = ['trades', 'cashMovements', 'lotActions', 'bondTransactions'];
+        var tableKeys = ['trades', 'cashMovements', 'lotActions', 'bondTransactions', 'saleLotSelections'];
         for (var t = 0; t < tableKeys.length; t++) {
             var key = tableKeys[t];
             var rows = payload[key] || [];
@@ -640,11 +899,13 @@ function runIngest_(payload) {
                 trades: (payload.trades || []).length,
                 cashMovements: (payload.cashMovements || []).length,
                 lotActions: (payload.lotActions || []).length,
-                bondTransactions: (payload.bondTransactions || []).length
+                bondTransactions: (payload.bondTransactions || []).length,
+                saleLotSelections: (payload.saleLotSelections || []).length
             },
             rebuild: 'success'
         };
         if (validationResult.generatedIds) ingestResult.generatedIds = validationResult.generatedIds;
+        if (validationResult.warnings) ingestResult.warnings = validationResult.warnings;
         return ingestResult;
 
     } catch (err) {
@@ -1,17 +1,118 @@
 /**** Rebuild Lots ****/
 /**** address partial sales, splits, transfers, gifts ****/
 function rebuildLots() {
+  const { lots, consumes, exceptions } = replayLots_();
+
+  // Strict mode: fail before any derived table is written (ingest rolls back on throw)
+  if (STRICT_MODE && exceptions.length > 0) {
+    throw new Error(`${exceptions.length} ledger exception(s): ` + exceptions.map(x => x.Message).join("; "));
+  }
+
+  const finalLots = lots.filter(l => l.OpenQty > 0);
+
+  writeTable("Lots_Current", finalLots);
+  writeTable("LotConsumes", consumes);
+  // Lots are replayed first, so this resets the table the later builders append to
+  writeTable("Ledger_Exceptions", exceptions);
+}
+
+/**
+ * Ledger_Exceptions row raised by a builder (Source), with blanks for the fields it omits.
+ * @param {string} source - Name of the builder, e.g. "computeRealizedGains"
+ * @param {Object} x - ExceptionType, Message and any of the event / owner / security / quantity fields
+ * @returns {Object}
+ */
+function ledgerException_(source, x) {
+  const orBlank = v => v === undefined || v === null ? "" : v;
+  return {
+    ExceptionType: x.ExceptionType,
+    Source: source,
+    EventId: orBlank(x.EventId),
+    EventType: x.EventType,
+    EventDate: isoDate_(x.EventDate),
+    OwnerId: orBlank(x.OwnerId),
+    SecurityId: orBlank(x.SecurityId),
+    RequestedQty: orBlank(x.RequestedQty),
+    AvailableQty: orBlank(x.AvailableQty),
+    Message: x.Message
+  };
+}
+
+/** Replace the Ledger_Exceptions rows from source (an earlier run of the same builder) with rows. */
+function appendLedgerExceptions_(source, rows) {
+  const others = readOptionalTable_("Ledger_Exceptions").filter(x => x.Source !== source);
+  writeTable("Ledger_Exceptions", others.concat(rows));
+}
+
+/**
+ * FIFO pool for an asset class on a date (Config.FIFO_Scope): OWNER pools every account of the owner,
+ * ACCOUNT / BROKER restrict to one account / broker (Indian depositories apply FIFO per demat account).
+ * @param {Array<Object>} taxRules - Config rows
+ * @param {string} assetClass
+ * @param {Date|string} date
+ * @returns {string} OWNER | ACCOUNT | BROKER
+ */
+function fifoScope_(taxRules, assetClass, date) {
+  return (taxRuleFor_(taxRules, assetClass, date) || {}).FIFO_Scope || "OWNER";
+}
+
+/**
+ * Replay Trades and LotActions in date order into lots, lot consumes and ledger exceptions.
+ * With saleDate, stops before that day's sales: the lots a SELL on that date can draw on.
+ * heldSince maps each LotId to the date its current owner, account and security began
+ * (a gift, transfer or merger starts a new holding); consumedFrom maps each ConsumeId to the
+ * AccountId the lot was in when consumed.
+ * @param {string} [saleDate] - YYYY-MM-DD
+ * @param {function(string, Array<Object>, Object<string, string>)} [onDayEnd] - Called with the date,
+ *   lots and heldSince after the last event of each day
+ * @returns {{lots: Array<Object>, consumes: Array<Object>, exceptions: Array<Object>, heldSince: Object<string, string>,
+ *   consumedFrom: Object<string, string>}}
+ */
+function replayLots_(saleDate, onDayEnd) {
   const trades = readTable("Trades");
   const actions = readTable("LotActions");
 
   let lots = [];
   let consumes = [];
+  let exceptions = [];
+  const heldSince = {};
+  const consumedFrom = {};
   let lotSeq = 1;
   let consumeSeq = 1;
 
   const secs = Object.fromEntries(
     readTable("Securities").map(s => [s.SecurityId, s])
   );
+  const taxRules = readTable("Config");
+
+  // Specific-identification lot choices per SELL trade, in table order
+  const selectionsByTrade = {};
+  readOptionalTable_("SaleLotSelections").forEach(sel => {
+    (selectionsByTrade[sel.TradeId] = selectionsByTrade[sel.TradeId] || []).push(sel);
+  });
+
+  // Record a ledger exception (oversell, unknown security) for the event being processed
+  function flagException(e, exceptionType, ownerId, securityId, requestedQty, availableQty, message) {
+    exceptions.push(ledgerException_("rebuildLots", {
+      ExceptionType: exceptionType,
+      EventId: e.Data.TradeId || e.Data.ActionId,
+      EventType: e.Type,
+      EventDate: e.Data.TradeDate || e.Data.ActionDate,
+      OwnerId: ownerId,
+      SecurityId: securityId,
+      RequestedQty: requestedQty,
+      AvailableQty: availableQty,
+      Message: message
+    }));
+  }
+
+  // Quantity left unfilled after walking all open lots (tolerates float dust from splits)
+  function flagShortfall(e, ownerId, remainingQty) {
+    if (remainingQty <= 1e-9) return;
+    const requested = Number(e.Data.Quantity);
+    flagException(e, "OVERSELL", ownerId, e.Data.SecurityId, requested, requested - remainingQty,
+      `${e.Type} ${e.Data.TradeId || e.Data.ActionId}: ${ownerId} requested ${requested} ${e.Data.SecurityId} but only ${requested - remainingQty} available`);
+  }
 
   function openLots(owner, assetId) {
     return lots
@@ -19,9 +120,17 @@ function rebuildLots() {
       .sort((a, b) => new Date(a.BuyDate) - new Date(b.BuyDate));
   }
 
-  function openLotsBySecurity(owner, securityId) {
+  // FIFO pool per asset class (see fifoScope_); blank account / broker on the event widens to the owner
+  function inFifoScope(lot, date, owner, securityId, accountId, brokerId) {
+    const scope = fifoScope_(taxRules, secs[securityId].AssetClass, date);
+    return lot.OwnerId === owner && lot.SecurityId === securityId &&
+      (scope !== "ACCOUNT" || !accountId || lot.AccountId === accountId) &&
+      (scope !== "BROKER" || !brokerId || lot.BrokerId === brokerId);
+  }
+
+  function openLotsBySecurity(date, owner, securityId, accountId, brokerId) {
     return lots
-      .filter(l => l.OwnerId === owner && l.SecurityId === securityId && l.OpenQty > 0)
+      .filter(l => l.OpenQty > 0 && inFifoScope(l, date, owner, securityId, accountId, brokerId))
       .sort((a, b) => new Date(a.BuyDate) - new Date(b.BuyDate));
   }
 
@@ -36,35 +145,70 @@ function rebuildLots() {
   actions.forEach(a => events.push({
     Type: a.ActionType,
     Date: new Date(a.ActionDate),
-    Data: a
+    // A BUYBACK consumes lots like a SELL of the tendered shares
+    Data: a.ActionType === "BUYBACK" ? {
+      TradeId: a.ActionId,
+      TradeDate: a.ActionDate,
+      OwnerId: a.OwnerFromId,
+      BrokerId: a.BrokerFromId,
+      AccountId: a.AccountFromId,
+      SecurityId: a.SecurityId,
+      Quantity: a.Quantity,
+      Price: a.Price,
+      Fees: 0,
+      FXRateToINR: a.FXRateToINR
+    } : a
   }));
 
-  const order = { BUY: 1, SPLIT: 2, BONUS: 2, MERGER: 3, SELL: 4, GIFT: 5, TRANSFER: 6 };
+  const order = { BUY: 1, SPLIT: 2, BONUS: 2, RIGHTS: 2, MERGER: 3, DEMERGER: 3, RIGHTS_SUBSCRIPTION: 3, SELL: 4, BUYBACK: 4, GIFT: 5, TRANSFER: 6 };
   events.sort((a, b) => a.Date - b.Date || order[a.Type] - order[b.Type]);
 
-  events.forEach(e => {
+  const eventDate = e => isoDate_(e.Data.TradeDate || e.Data.ActionDate);
+  const replayed = !saleDate ? events : events.filter(e =>
+    eventDate(e) < saleDate || (eventDate(e) === saleDate && order[e.Type] < order.SELL));
+
+  replayed.forEach((e, i) => {
     const d = e.Data;
+    const firstNewLot = lots.length;
+    const firstNewConsume = consumes.length;
+
+    // Unknown securities: record and skip the event instead of crashing on secs[...] lookups
+    const unknownSecs = [d.SecurityId, d.SecurityToId].filter(id => id && !secs[id]);
+    if (unknownSecs.length > 0) {
+      unknownSecs.forEach(id => flagException(e, "UNKNOWN_SECURITY", d.OwnerId || d.OwnerFromId, id,
+        d.Quantity === undefined ? "" : d.Quantity, "",
+        `${e.Type} ${d.TradeId || d.ActionId}: SecurityId '${id}' not found in Securities`));
+      return;
+    }
 
     // BUY
     if (e.Type === "BUY") {
       const qty = Number(d.Quantity);
       const price = Number(d.Price);
+      const fees = Number(d.Fees) || 0;
       const fx = Number(d.FXRateToINR);
       const assetId = secs[d.SecurityId].AssetId;
 
+      // Buy-side fees are capitalised into the cost of acquisition
+      const costNative = qty * price + fees;
+
       lots.push({
         LotId: "LOT_" + lotSeq++,
+        SourceId: d.TradeId,              // stable across rebuilds, unlike LotId
         OwnerId: d.OwnerId,
         SecurityId: d.SecurityId,
         AssetId: assetId,
         BuyDate: d.TradeDate,
         OpenQty: qty,
-        CostNative: qty * price,          // aggregate
-        CostPriceNative: price,            // per share
-        CostINR: qty * price * fx,
+        CostNative: costNative,           // aggregate, incl. fees
+        CostPriceNative: costNative / qty, // per share, incl. fees
+        CostINR: costNative * fx,
+        FeesNative: fees,                 // portion of CostNative that is fees
+        FeesINR: fees * fx,
         BuyFXRate: fx,
         BrokerId: d.BrokerId,
-        AccountId: d.AccountId
+        AccountId: d.AccountId,
+        GiftedById: ""
       });
     }
 
@@ -96,10 +240,13 @@ function rebuildLots() {
         const newQty = lot.OpenQty * qtyRatio;
         const newCostNative = lot.CostNative * costRatioNew;
         const newCostINR = lot.CostINR * costRatioNew;
+        const newFeesNative = lot.FeesNative * costRatioNew;
+        const newFeesINR = lot.FeesINR * costRatioNew;
 
         // Create new lot in target security
         lots.push({
           LotId: "LOT_" + lotSeq++,
+          SourceId: lot.SourceId,
           OwnerId: lot.OwnerId,
           SecurityId: toSec,
           AssetId: toAssetId,
@@ -108,45 +255,76 @@ function rebuildLots() {
           CostNative: newCostNative,
           CostPriceNative: newQty > 0 ? newCostNative / newQty : 0,
           CostINR: newCostINR,
+          FeesNative: newFeesNative,
+          FeesINR: newFeesINR,
           BuyFXRate: lot.BuyFXRate,
           BrokerId: lot.BrokerId,
-          AccountId: lot.AccountId
+          AccountId: lot.AccountId,
+          GiftedById: lot.GiftedById || ""
         });
 
         // Reduce original lot cost proportionally
         lot.CostNative *= costRatioOriginal;
         lot.CostINR *= costRatioOriginal;
+        lot.FeesNative *= costRatioOriginal;
+        lot.FeesINR *= costRatioOriginal;
         lot.CostPriceNative = lot.OpenQty > 0 ? lot.CostNative / lot.OpenQty : 0;
       });
     }
 
-    // SELL (FIFO)
-    if (e.Type === "SELL") {
+    // SELL / BUYBACK (specific lots from SaleLotSelections first, then FIFO for the remainder)
+    // Sale-side fees are deducted from proceeds, pro-rated by quantity across consumed lots
+    if (e.Type === "SELL" || e.Type === "BUYBACK") {
       let qty = Number(d.Quantity);
+      const saleQty = qty;
       const salePrice = Number(d.Price);
+      const saleFees = Number(d.Fees) || 0;
       const saleFX = Number(d.FXRateToINR);
       const assetId = secs[d.SecurityId].AssetId;
       const securityId = d.SecurityId;
 
-      for (const lot of openLotsBySecurity(d.OwnerId, securityId)) {
+      // A selection names the BUY (or action) that created the lots; its Quantity is shared across them
+      const inScope = openLotsBySecurity(e.Date, d.OwnerId, securityId, d.AccountId, d.BrokerId);
+      const picks = [];
+      (selectionsByTrade[d.TradeId] || []).forEach(sel => {
+        const selected = inScope.filter(l => l.SourceId === sel.SourceId);
+        if (selected.length === 0) {
+          flagException(e, "INVALID_LOT_SELECTION", d.OwnerId, securityId, Number(sel.Quantity), 0,
+            `SELL ${d.TradeId}: selection ${sel.SelectionId} has no open ${securityId} lot of ${d.OwnerId} from ${sel.SourceId} in scope; using FIFO instead`);
+          return;
+        }
+        const budget = { qty: Number(sel.Quantity) };
+        selected.forEach(lot => picks.push({ lot: lot, budget: budget }));
+      });
+      inScope.forEach(lot => picks.push({ lot: lot, budget: { qty: Infinity } }));
+
+      for (const pick of picks) {
         if (qty <= 0) break;
+        const lot = pick.lot;
+        if (lot.OpenQty <= 0 || pick.budget.qty <= 0) continue; // consumed by an earlier selection
 
-        const used = Math.min(lot.OpenQty, qty);
+        const used = Math.min(lot.OpenQty, qty, pick.budget.qty);
+        pick.budget.qty -= used;
         const frac = used / lot.OpenQty;
 
         const costNativeUsed = lot.CostNative * frac;
         const costINRUsed = lot.CostINR * frac;
+        const buyFeesNativeUsed = lot.FeesNative * frac;
+        const buyFeesINRUsed = lot.FeesINR * frac;
 
-        const proceedsNative = used * salePrice;
+        const saleFeesNative = saleFees * used / saleQty;
+        const proceedsNative = used * salePrice - saleFeesNative;
         const proceedsINR = proceedsNative * saleFX;
 
         consumes.push({
           ConsumeId: "C_" + consumeSeq++,
+          ConsumeType: e.Type,
           TradeId: d.TradeId,
           OwnerId: d.OwnerId,
           SecurityId: d.SecurityId,
           AssetId: assetId,
           LotId: lot.LotId,
+          GiftedById: lot.GiftedById || "",
           BuyDate: lot.BuyDate,
           SellDate: d.TradeDate,
           Quantity: used,
@@ -155,19 +333,27 @@ function rebuildLots() {
           CostPriceNative: lot.CostPriceNative, // per share
           CostINR: costINRUsed,
           CostFXRate: lot.BuyFXRate ?? null,
+          BuyFeesNative: buyFeesNativeUsed,     // included in CostNative
+          BuyFeesINR: buyFeesINRUsed,
 
           SalePriceNative: salePrice,           // per share
           SaleFXRate: saleFX,
-          ProceedsNative: proceedsNative,       // aggregate
+          SaleFeesNative: saleFeesNative,       // already deducted from ProceedsNative
+          SaleFeesINR: saleFeesNative * saleFX,
+          ProceedsNative: proceedsNative,       // aggregate, net of fees
           ProceedsINR: proceedsINR
         });
 
         lot.OpenQty -= used;
         lot.CostNative -= costNativeUsed;
         lot.CostINR -= costINRUsed;
+        lot.FeesNative -= buyFeesNativeUsed;
+        lot.FeesINR -= buyFeesINRUsed;
         // CostPriceNative remains unchanged
         qty -= used;
       }
+
+      flagShortfall(e, d.OwnerId, qty);
     }
 
     // SPLIT (quantity changes, total cost unchanged)
@@ -204,6 +390,7 @@ function rebuildLots() {
           // Create new lot for bonus shares with zero cost basis
           lots.push({
             LotId: "LOT_" + lotSeq++,
+            SourceId: d.ActionId,
             OwnerId: l.OwnerId,
             SecurityId: l.SecurityId,
             AssetId: assetId,
@@ -212,44 +399,281 @@ function rebuildLots() {
             CostNative: 0,                   // Zero cost for bonus shares
             CostPriceNative: 0,              // Zero cost per share
             CostINR: 0,                      // Zero cost in INR
+            FeesNative: 0,
+            FeesINR: 0,
             BuyFXRate: l.BuyFXRate ?? 1,     // Preserve FX rate context
             BrokerId: l.BrokerId,
-            AccountId: l.AccountId
+            AccountId: l.AccountId,
+            GiftedById: l.GiftedById || ""
           });
         }
         // Original lot cost basis remains unchanged (unlike SPLIT)
       });
     }
 
+    // RIGHTS (record date): holders get rights entitlements (REs) in SecurityToId at
+    // SplitNumerator/SplitDenominator per share held, one zero-cost lot per holding.
+    // Fractional entitlements are ignored, as the registrar does.
+    // Renounced REs are sold with a normal SELL of SecurityToId (gain = proceeds)
+    if (e.Type === "RIGHTS") {
+      const ratio = Number(d.SplitNumerator) / Number(d.SplitDenominator);
+      const reSec = d.SecurityToId;
+      const reAssetId = secs[reSec].AssetId;
+
+      const holdings = {};
+      lots.filter(l => l.SecurityId === d.SecurityId && l.OpenQty > 0).forEach(l => {
+        const key = [l.OwnerId, l.BrokerId, l.AccountId].join("|");
+        if (!holdings[key]) holdings[key] = { lot: l, qty: 0 };
+        holdings[key].qty += l.OpenQty;
+      });
+
+      Object.values(holdings).forEach(h => {
+        const reQty = Math.floor(h.qty * ratio + 1e-9);
+        if (reQty <= 0) return;
+        lots.push({
+          LotId: "LOT_" + lotSeq++,
+          SourceId: d.ActionId,
+          OwnerId: h.lot.OwnerId,
+          SecurityId: reSec,
+          AssetId: reAssetId,
+          BuyDate: d.ActionDate,           // REs are acquired on the record date
+          OpenQty: reQty,
+          CostNative: 0,
+          CostPriceNative: 0,
+          CostINR: 0,
+          FeesNative: 0,
+          FeesINR: 0,
+          BuyFXRate: h.lot.BuyFXRate ?? 1,
+          BrokerId: h.lot.BrokerId,
+          AccountId: h.lot.AccountId,
+          GiftedById: ""
+        });
+      });
+    }
+
+    // RIGHTS_SUBSCRIPTION (allotment): exercises Quantity of OwnerFromId's REs in SecurityId.
+    // Each RE becomes one share of SecurityToId at Price, held from the allotment date.
+    if (e.Type === "RIGHTS_SUBSCRIPTION") {
+      let qty = Number(d.Quantity);
+      const price = Number(d.Price);
+      const fx = Number(d.FXRateToINR);
+      const toSec = d.SecurityToId;
+      const toAssetId = secs[toSec].AssetId;
+
+      for (const reLot of openLotsBySecurity(e.Date, d.OwnerFromId, d.SecurityId, d.AccountFromId, d.BrokerFromId)) {
+        if (qty <= 0) break;
+        const used = Math.min(reLot.OpenQty, qty);
+        const costNative = used * price;
+
+        lots.push({
+          LotId: "LOT_" + lotSeq++,
+          SourceId: d.ActionId,
+          OwnerId: reLot.OwnerId,
+          SecurityId: toSec,
+          AssetId: toAssetId,
+          BuyDate: d.ActionDate,
+          OpenQty: used,
+          CostNative: costNative,
+          CostPriceNative: price,
+          CostINR: costNative * fx,
+          FeesNative: 0,
+          FeesINR: 0,
+          BuyFXRate: fx,
+          BrokerId: reLot.BrokerId,
+          AccountId: reLot.AccountId,
+          GiftedById: ""
+        });
+
+        reLot.OpenQty -= used; // REs have zero cost, so nothing else moves
+        qty -= used;
+      }
+
+      flagShortfall(e, d.OwnerFromId, qty);
+    }
+
     // MERGER (security conversion: e.g., WORK -> CRM)
-    // Converts shares from one security to another with a ratio, preserving cost basis
+    // Converts shares from one security to another with a ratio, preserving cost basis.
+    // With CashPerShare (cash per old share) the deal is part sale: cost is split by value between
+    // the cash (a MERGER_CASH consume) and the stock at AcquirerPrice (carried over on the lot).
     if (e.Type === "MERGER") {
-      const ratio = Number(d.SplitNumerator) / Number(d.SplitDenominator);
+      const ratio = Number(d.SplitNumerator) / Number(d.SplitDenominator) || 0;
       const fromSec = d.SecurityId;
       const toSec = d.SecurityToId;
-      const toAssetId = secs[toSec].AssetId;
+      // All-cash deals name no acquirer security
+      const toAssetId = toSec ? secs[toSec].AssetId : "";
+
+      const cashInLieuPrice = d.CashInLieuPrice === "" || d.CashInLieuPrice === undefined ? null : Number(d.CashInLieuPrice);
+      const cashPerShare = Number(d.CashPerShare) || 0;
+      const stockValue = ratio * (Number(d.AcquirerPrice) || 0);
+      const cashFrac = cashPerShare > 0 ? cashPerShare / (cashPerShare + stockValue) : 0;
 
       lots.forEach(l => {
         if (l.SecurityId === fromSec && l.OpenQty > 0) {
+          if (cashFrac > 0) {
+            // Deemed sale of cashFrac of the shares at the deal value per share
+            const fx = Number(d.FXRateToINR) || l.BuyFXRate || 1;
+            const soldQty = l.OpenQty * cashFrac;
+            const costNativeUsed = l.CostNative * cashFrac;
+            const costINRUsed = l.CostINR * cashFrac;
+            const feesNativeUsed = l.FeesNative * cashFrac;
+            const feesINRUsed = l.FeesINR * cashFrac;
+            const proceedsNative = l.OpenQty * cashPerShare;
+
+            consumes.push({
+              ConsumeId: "C_" + consumeSeq++,
+              ConsumeType: "MERGER_CASH",
+              TradeId: d.ActionId,
+              OwnerId: l.OwnerId,
+              SecurityId: fromSec,
+              AssetId: l.AssetId,
+              LotId: l.LotId,
+              GiftedById: l.GiftedById || "",
+              BuyDate: l.BuyDate,
+              SellDate: d.ActionDate,
+              Quantity: soldQty,
+
+              CostNative: costNativeUsed,
+              CostPriceNative: l.CostPriceNative,
+              CostINR: costINRUsed,
+              CostFXRate: l.BuyFXRate ?? null,
+              BuyFeesNative: feesNativeUsed,
+              BuyFeesINR: feesINRUsed,
+
+              SalePriceNative: proceedsNative / soldQty,
+              SaleFXRate: fx,
+              SaleFeesNative: 0,
+              SaleFeesINR: 0,
+              ProceedsNative: proceedsNative,
+              ProceedsINR: proceedsNative * fx
+            });
+
+            l.CostNative -= costNativeUsed;
+            l.CostINR -= costINRUsed;
+            l.FeesNative -= feesNativeUsed;
+            l.FeesINR -= feesINRUsed;
+          }
+
           // Convert to new security, preserving total cost basis
           // Floor the quantity since fractional shares are paid in cash
-          const newQty = Math.floor(l.OpenQty * ratio);
-          l.SecurityId = toSec;
-          l.AssetId = toAssetId;
-          l.CostPriceNative = l.CostNative / newQty; // per-share cost based on new quantity
+          const entitled = l.OpenQty * ratio;
+          const newQty = Math.floor(entitled);
+          const fraction = entitled - newQty;
+
+          // Cash in lieu: the fraction is a deemed sale at CashInLieuPrice, taking its share of the cost.
+          // Without a price the fraction's cost stays on the whole shares.
+          if (fraction > 1e-9 && cashInLieuPrice !== null) {
+            const frac = fraction / entitled;
+            const fx = Number(d.FXRateToINR) || l.BuyFXRate || 1;
+            const costNativeUsed = l.CostNative * frac;
+            const costINRUsed = l.CostINR * frac;
+            const feesNativeUsed = l.FeesNative * frac;
+            const feesINRUsed = l.FeesINR * frac;
+            const proceedsNative = fraction * cashInLieuPrice;
+
+            consumes.push({
+              ConsumeId: "C_" + consumeSeq++,
+              ConsumeType: "CASH_IN_LIEU",
+              TradeId: d.ActionId,
+              OwnerId: l.OwnerId,
+              SecurityId: toSec,
+              AssetId: toAssetId,
+              LotId: l.LotId,
+              GiftedById: l.GiftedById || "",
+              BuyDate: l.BuyDate,
+              SellDate: d.ActionDate,
+              Quantity: fraction,
+
+              CostNative: costNativeUsed,
+              CostPriceNative: costNativeUsed / fraction,
+              CostINR: costINRUsed,
+              CostFXRate: l.BuyFXRate ?? null,
+              BuyFeesNative: feesNativeUsed,
+              BuyFeesINR: feesINRUsed,
+
+              SalePriceNative: cashInLieuPrice,
+              SaleFXRate: fx,
+              SaleFeesNative: 0,
+              SaleFeesINR: 0,
+              ProceedsNative: proceedsNative,
+              ProceedsINR: proceedsNative * fx
+            });
+
+            l.CostNative -= costNativeUsed;
+            l.CostINR -= costINRUsed;
+            l.FeesNative -= feesNativeUsed;
+            l.FeesINR -= feesINRUsed;
+          }
+
+          if (newQty > 0) {
+            l.SecurityId = toSec;
+            l.AssetId = toAssetId;
+            l.CostPriceNative = l.CostNative / newQty; // per-share cost based on new quantity
+            heldSince[l.LotId] = eventDate(e);
+          } else {
+            // No whole acquirer share: close the lot in the old security. Without CashInLieuPrice no
+            // consume carries the lot's cost, so log it
+            if (cashInLieuPrice === null && l.CostINR > 1e-9) {
+              flagException(e, "MISSING_CASH_IN_LIEU_PRICE", l.OwnerId, fromSec, entitled, 0,
+                `MERGER ${d.ActionId}: ${l.LotId} is entitled to ${entitled} ${toSec || "new"} shares, less than one, and the action has no CashInLieuPrice; its cost of ${l.CostINR} INR is dropped`);
+            }
+            l.CostNative = 0;
+            l.CostINR = 0;
+            l.FeesNative = 0;
+            l.FeesINR = 0;
+            l.CostPriceNative = 0;
+          }
           l.OpenQty = newQty;
-          // CostNative and CostINR stay the same (total cost preserved)
         }
       });
     }
 
+    // DEMERGER (spin-off, e.g. Reliance -> Jio Financial)
+    // Holders get SplitNumerator/SplitDenominator new shares per parent share. CostApportionPct of each
+    // parent lot's cost moves to a child lot in SecurityToId that keeps the parent's BuyDate.
+    if (e.Type === "DEMERGER") {
+      const ratio = Number(d.SplitNumerator) / Number(d.SplitDenominator);
+      const childShare = Number(d.CostApportionPct) / 100;
+      const toSec = d.SecurityToId;
+      const toAssetId = secs[toSec].AssetId;
+
+      lots.filter(l => l.SecurityId === d.SecurityId && l.OpenQty > 0).forEach(lot => {
+        const childQty = lot.OpenQty * ratio;
+        const childCostNative = lot.CostNative * childShare;
+
+        lots.push({
+          LotId: "LOT_" + lotSeq++,
+          SourceId: lot.SourceId,
+          OwnerId: lot.OwnerId,
+          SecurityId: toSec,
+          AssetId: toAssetId,
+          BuyDate: lot.BuyDate,
+          OpenQty: childQty,
+          CostNative: childCostNative,
+          CostPriceNative: childQty > 0 ? childCostNative / childQty : 0,
+          CostINR: lot.CostINR * childShare,
+          FeesNative: lot.FeesNative * childShare,
+          FeesINR: lot.FeesINR * childShare,
+          BuyFXRate: lot.BuyFXRate,
+          BrokerId: lot.BrokerId,
+          AccountId: lot.AccountId,
+          GiftedById: lot.GiftedById || ""
+        });
+
+        lot.CostNative *= 1 - childShare;
+        lot.CostINR *= 1 - childShare;
+        lot.FeesNative *= 1 - childShare;
+        lot.FeesINR *= 1 - childShare;
+        lot.CostPriceNative = lot.CostNative / lot.OpenQty;
+      });
+    }
+
     // GIFT
     if (e.Type === "GIFT") {
       let qty = Number(d.Quantity);
       const assetId = secs[d.SecurityId].AssetId;
       const securityId = d.SecurityId;
 
-      for (const lot of openLotsBySecurity(d.OwnerFromId, securityId)) {
+      for (const lot of openLotsBySecurity(e.Date, d.OwnerFromId, securityId, d.AccountFromId, d.BrokerFromId)) {
         if (qty <= 0) break;
 
         const move = Math.min(lot.OpenQty, qty);
@@ -257,9 +681,12 @@ function rebuildLots() {
 
         const costNativeMove = lot.CostNative * frac;
         const costINRMove = lot.CostINR * frac;
+        const feesNativeMove = lot.FeesNative * frac;
+        const feesINRMove = lot.FeesINR * frac;
 
         lots.push({
           LotId: "LOT_" + lotSeq++,
+          SourceId: lot.SourceId,
           OwnerId: d.OwnerToId,
           SecurityId: lot.SecurityId,
           AssetId: assetId,
@@ -268,16 +695,23 @@ function rebuildLots() {
           CostNative: costNativeMove,
           CostPriceNative: lot.CostPriceNative,
           CostINR: costINRMove,
+          FeesNative: feesNativeMove,
+          FeesINR: feesINRMove,
           BuyFXRate: lot.BuyFXRate ?? null,
           BrokerId: d.BrokerToId,
-          AccountId: d.AccountToId
+          AccountId: d.AccountToId,
+          GiftedById: d.OwnerFromId       // donor, for clubbing (Section 64)
         });
 
         lot.OpenQty -= move;
         lot.CostNative -= costNativeMove;
         lot.CostINR -= costINRMove;
+        lot.FeesNative -= feesNativeMove;
+        lot.FeesINR -= feesINRMove;
         qty -= move;
       }
+
+      flagShortfall(e, d.OwnerFromId, qty);
     }
 
     // TRANSFER (no cost impact)
@@ -286,7 +720,7 @@ function rebuildLots() {
       const assetId = secs[d.SecurityId].AssetId;
       const securityId = d.SecurityId;
 
-      for (const lot of openLotsBySecurity(d.OwnerFromId, securityId)) {
+      for (const lot of openLotsBySecurity(e.Date, d.OwnerFromId, securityId, d.AccountFromId, d.BrokerFromId)) {
         if (qty <= 0) break;
         const move = Math.min(lot.OpenQty, qty);
         const frac = move / lot.OpenQty;
@@ -295,9 +729,12 @@ function rebuildLots() {
           // Partial transfer: create new lot at destination
           const costNativeMove = lot.CostNative * frac;
           const costINRMove = lot.CostINR * frac;
+          const feesNativeMove = lot.FeesNative * frac;
+          const feesINRMove = lot.FeesINR * frac;
 
           lots.push({
             LotId: "LOT_" + lotSeq++,
+            SourceId: lot.SourceId,
             OwnerId: d.OwnerToId,
             SecurityId: lot.SecurityId,
             AssetId: assetId,
@@ -306,29 +743,42 @@ function rebuildLots() {
             CostNative: costNativeMove,
             CostPriceNative: lot.CostPriceNative,
             CostINR: costINRMove,
+            FeesNative: feesNativeMove,
+            FeesINR: feesINRMove,
             BuyFXRate: lot.BuyFXRate ?? null,
             BrokerId: d.BrokerToId,
-            AccountId: d.AccountToId
+            AccountId: d.AccountToId,
+            GiftedById: lot.GiftedById || ""
           });
 
           lot.OpenQty -= move;
           lot.CostNative -= costNativeMove;
           lot.CostINR -= costINRMove;
+          lot.FeesNative -= feesNativeMove;
+          lot.FeesINR -= feesINRMove;
         } else {
           // Full transfer: just update the existing lot
           lot.OwnerId = d.OwnerToId;
           lot.BrokerId = d.BrokerToId;
           lot.AccountId = d.AccountToId;
+          heldSince[lot.LotId] = eventDate(e);
         }
         qty -= move;
       }
+
+      flagShortfall(e, d.OwnerFromId, qty);
     }
-  });
 
-  const finalLots = lots.filter(l => l.OpenQty > 0);
+    lots.slice(firstNewLot).forEach(l => { heldSince[l.LotId] = eventDate(e); });
+    // Only gifts and transfers change a lot's account, and they consume nothing
+    consumes.slice(firstNewConsume).forEach(c => {
+      consumedFrom[c.ConsumeId] = lots.find(l => l.LotId === c.LotId).AccountId;
+    });
+    const next = replayed[i + 1];
+    if (onDayEnd && (!next || eventDate(next) !== eventDate(e))) onDayEnd(eventDate(e), lots, heldSince);
+  });
 
-  writeTable("Lots_Current", finalLots);
-  writeTable("LotConsumes", consumes);
+  return { lots, consumes, exceptions, heldSince, consumedFrom };
 }
 
 
@@ -385,6 +835,43 @@ function rebuildXIRRCashflows() {
     });
   });
 
+  // Rights subscriptions are a purchase at the subscription price
+  readTable("LotActions").filter(a => a.ActionType === "RIGHTS_SUBSCRIPTION").forEach(a => {
+    const sec = secs[a.SecurityToId];
+    if (!sec) return;
+
+    rows.push({
+      Portfolio: (sec.Country === "INDIA") ? "India" : "US",
+      OwnerId: a.OwnerFromId,
+      SecurityId: a.SecurityToId,
+      AssetId: sec.AssetId,
+      Symbol: sec.Ticker,
+      Quantity: "",
+      FlowDate: new Date(a.ActionDate),
+      CashFlow: -Number(a.Quantity) * Number(a.Price),
+      FlowType: "RIGHTS_SUBSCRIPTION"
+    });
+  });
+
+  // Corporate actions that pay cash for consumed shares are a sale at the consume's proceeds
+  const cashConsumeTypes = ["BUYBACK", "MERGER_CASH", "CASH_IN_LIEU"];
+  readTable("LotConsumes").filter(c => cashConsumeTypes.includes(c.ConsumeType)).forEach(c => {
+    const sec = secs[c.SecurityId];
+    if (!sec) return;
+
+    rows.push({
+      Portfolio: (sec.Country === "INDIA") ? "India" : "US",
+      OwnerId: c.OwnerId,
+      SecurityId: c.SecurityId,
+      AssetId: sec.AssetId,
+      Symbol: sec.Ticker,
+      Quantity: "",
+      FlowDate: new Date(c.SellDate),
+      CashFlow: Number(c.ProceedsNative),
+      FlowType: c.ConsumeType
+    });
+  });
+
   /* -----------------------------
      3) CURRENT_VALUE (ONE per AssetId)
      ----------------------------- */
@@ -443,77 +930,1112 @@ function rebuildXIRRCashflows() {
   }
 }
 
+/**** FX Reference Rates ****/
+// Business days a reference rate may lag the date it is used for (weekends and bank holidays)
+const TTBR_MAX_AGE_BUSINESS_DAYS_ = 3;
+
+/**
+ * Lookup over FX_Rates: (currency, "YYYY-MM-DD") => latest { rate, date } on or before
+ * that date (month-end may fall on a holiday), or null when there is none within
+ * TTBR_MAX_AGE_BUSINESS_DAYS_ (a missing month must not silently reuse an old rate).
+ */
+function ttbrLookup_() {
+  const fxRates = {};
+  readOptionalTable_("FX_Rates").forEach(r => {
+    if (!fxRates[r.Currency]) fxRates[r.Currency] = [];
+    fxRates[r.Currency].push({ date: isoDate_(r.Date), rate: Number(r.TTBuyRate) });
+  });
+  Object.values(fxRates).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+  // Weekdays after `from` up to and including `to`
+  const businessDaysAfter = (from, to) => {
+    let n = 0;
+    for (const d = new Date(from + "T00:00:00Z"); d.toISOString().slice(0, 10) < to;) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) n++;
+    }
+    return n;
+  };
+
+  return (currency, date) => {
+    const ref = (fxRates[currency] || []).filter(r => r.date <= date).pop();
+    return ref && businessDaysAfter(ref.date, date) <= TTBR_MAX_AGE_BUSINESS_DAYS_ ? ref : null;
+  };
+}
+
+/**
+ * Fallback for cash rows, which carry no rate of their own: (currency, "YYYY-MM-DD") =>
+ * FXRateToINR of the latest trade in that currency on or before the date, else of the
+ * first one after it, or null when no trade is in that currency.
+ */
+function tradeFxLookup_() {
+  const currencyOf = Object.fromEntries(readTable("Securities").map(s => [s.SecurityId, s.TradingCurrency]));
+  const byCurrency = {};
+  readTable("Trades").filter(t => Number(t.FXRateToINR) > 0).forEach(t => {
+    const currency = currencyOf[t.SecurityId];
+    if (!byCurrency[currency]) byCurrency[currency] = [];
+    byCurrency[currency].push({ date: isoDate_(t.TradeDate), rate: Number(t.FXRateToINR) });
+  });
+  Object.values(byCurrency).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+  return (currency, date) => {
+    const list = byCurrency[currency] || [];
+    const ref = list.filter(r => r.date <= date).pop() || list[0];
+    return ref ? ref.rate : null;
+  };
+}
+
+/** Rule 115 reference date: the last day of the month before the given date ("YYYY-MM-DD"). */
+function rule115Date_(date) {
+  const [y, m] = isoDate_(date).split("-").map(Number);
+  return isoDate_(new Date(y, m - 1, 0));
+}
+
 /**** Compute Realized Gain ****/
 /**** core FIFO logic ****/
+// Buybacks on or after this date are taxed as a deemed dividend in the shareholder's hands
+const BUYBACK_DEEMED_DIVIDEND_FROM_ = "2024-10-01";
+
 function computeRealizedGains() {
   const consumes = readTable("LotConsumes");
   const secs = Object.fromEntries(
     readTable("Securities").map(s => [s.SecurityId, s])
   );
-  const tax = Object.fromEntries(
-    readTable("Config").map(t => [t.AssetClass, t])
+  const taxRules = readTable("Config");
+  const cii = Object.fromEntries(
+    readOptionalTable_("CII").map(r => [r.FinancialYear, Number(r.CII)])
   );
+  const ciiBaseFY = Object.keys(cii).sort()[0];
+  // Buys before the CII base year (2001-02) index from the base year
+  const ciiFor = fy => cii[fy] || (ciiBaseFY && fy < ciiBaseFY ? cii[ciiBaseFY] : 0);
+
+  const ttbrOnOrBefore = ttbrLookup_();
+
+  const spouseOf = spouseMap_();
+
+  const exceptions = [];
+  const flag = (c, exceptionType, date, message) => exceptions.push(ledgerException_("computeRealizedGains", {
+    ExceptionType: exceptionType, EventId: c.TradeId, EventType: c.ConsumeType || "SELL", EventDate: date,
+    OwnerId: c.OwnerId, SecurityId: c.SecurityId, Message: message
+  }));
+
+  // Rate for one leg of consume c under the asset class policy:
+  // TRADE_RATE = the trade's own rate, RULE_115 = TTBR on the last day of the previous month,
+  // SBI_TTBR_ON_DATE = TTBR on the trade date. Falls back to the trade rate when no reference rate exists.
+  const fxFor = (c, policy, currency, date, tradeRate) => {
+    if (!policy || policy === "TRADE_RATE" || currency === "INR") return { rate: tradeRate, date: "" };
+    const target = policy === "RULE_115" ? rule115Date_(date) : isoDate_(date);
+    const ref = ttbrOnOrBefore(currency, target);
+    if (!ref) {
+      flag(c, "MISSING_FX_RATE", date, `${c.LotId}: no ${currency} TT buying rate within ${TTBR_MAX_AGE_BUSINESS_DAYS_} business days before ${target}; using trade rate ${tradeRate}`);
+      return { rate: tradeRate, date: "" };
+    }
+    return { rate: ref.rate, date: ref.date };
+  };
+
+  const income = [];
+
+  // The buyback rules cover domestic companies only; a foreign buyback is an ordinary sale
+  const domesticBuyback = c => c.ConsumeType === "BUYBACK" &&
+    ["IND", "INDIA"].includes(String(secs[c.SecurityId].Country || "").toUpperCase());
+
+  // Earlier buybacks are exempt for the shareholder (Section 10(34A)) and produce no gain
+  const taxable = consumes.filter(c => !domesticBuyback(c) || isoDate_(c.SellDate) >= BUYBACK_DEEMED_DIVIDEND_FROM_);
 
-  const gains = consumes.map(c => {
+  const gains = taxable.map(c => {
     const buy = new Date(c.BuyDate);
     const sell = new Date(c.SellDate);
     const holding = daysBetween(buy, sell);
     const asset = secs[c.SecurityId].AssetClass;
-    const rule = tax[asset];
+    // Holding period and rates in force on the sell date
+    const rule = taxRuleFor_(taxRules, asset, sell);
+    if (!rule) throw new Error(`No Config rule for ${asset} in force on ${c.SellDate}`);
+    const gainType = holding >= rule.HoldingPeriod_LT_Days ? "LTCG" : "STCG";
+
+    // INR conversion of cost and proceeds per the asset class FX policy
+    const policy = rule.FX_Conversion_Policy || "TRADE_RATE";
+    const currency = secs[c.SecurityId].TradingCurrency;
+    const costFX = fxFor(c, policy, currency, c.BuyDate, c.CostFXRate);
+    const saleFX = fxFor(c, policy, currency, c.SellDate, c.SaleFXRate);
+    const tradeRates = costFX.date === "" && saleFX.date === "";
+    const costINR = tradeRates ? c.CostINR : c.CostNative * costFX.rate;
+    const buyFeesINR = tradeRates ? c.BuyFeesINR : c.BuyFeesNative * costFX.rate;
+    let proceedsINR = tradeRates ? c.ProceedsINR : c.ProceedsNative * saleFX.rate;
+    const saleFeesINR = tradeRates ? c.SaleFeesINR : c.SaleFeesNative * saleFX.rate;
+
+    // Buyback: the proceeds are a deemed dividend and the cost of the extinguished shares a capital loss
+    if (domesticBuyback(c)) {
+      income.push({
+        OwnerId: c.OwnerId,
+        TaxableOwnerId: lotTaxableOwner_(c, spouseOf),
+        FinancialYear: fyFromDate(sell),
+        IncomeDate: c.SellDate,
+        IncomeType: "DEEMED_DIVIDEND",
+        SecurityId: c.SecurityId,
+        ActionId: c.TradeId,
+        LotId: c.LotId,
+        Quantity: c.Quantity,
+        AmountNative: c.ProceedsNative,
+        Currency: currency,
+        FXRate: saleFX.rate,
+        AmountINR: proceedsINR
+      });
+      proceedsINR = 0;
+    }
+
+    // Section 112A grandfathering: for lots bought before 1-Feb-2018, cost is the higher of
+    // actual cost and the lower of the 31-Jan-2018 FMV and the full sale value
+    const fmv = Number(secs[c.SecurityId].FMV_31Jan2018_INR) || 0;
+    let grandfatheredCost = "";
+    if (gainType === "LTCG" && fmv > 0 && buy < new Date("2018-02-01")) {
+      const saleValue = Number(proceedsINR) + Number(saleFeesINR || 0);
+      grandfatheredCost = Math.max(Number(costINR), Math.min(fmv * c.Quantity, saleValue));
+    }
+    const costForGain = grandfatheredCost === "" ? costINR : grandfatheredCost;
+
+    // Indexation: LTCG cost scaled by CII(sell FY) / CII(buy FY) where the asset class allows it
+    let indexedCost = "";
+    let indexedGain = "";
+    if (gainType === "LTCG" && (rule.Indexation_Allowed === true || rule.Indexation_Allowed === "TRUE")) {
+      const buyCII = ciiFor(fyFromDate(buy));
+      const sellCII = ciiFor(fyFromDate(sell));
+      if (buyCII && sellCII) {
+        indexedCost = costForGain * sellCII / buyCII;
+        indexedGain = proceedsINR - indexedCost;
+      } else {
+        flag(c, "MISSING_CII", c.SellDate, `${c.LotId}: no CII for ${fyFromDate(buy)} or ${fyFromDate(sell)}; gain not indexed`);
+      }
+    }
 
     return {
       OwnerId: c.OwnerId,
+      TaxableOwnerId: lotTaxableOwner_(c, spouseOf),
       SecurityId: c.SecurityId,
       LotId: c.LotId,
       BuyDate: c.BuyDate,
       SellDate: c.SellDate,
       Quantity: c.Quantity,
-      CostINR: c.CostINR,
-      ProceedsINR: c.ProceedsINR,
-      GainINR: c.ProceedsINR - c.CostINR,
+      CostINR: costINR,                   // incl. buy fees
+      GrandfatheredCostINR: grandfatheredCost,
+      ProceedsINR: proceedsINR,           // net of sale fees
+      BuyFeesINR: buyFeesINR,
+      SaleFeesINR: saleFeesINR,
+      FXPolicy: policy,
+      CostFXRate: costFX.rate,
+      CostFXDate: costFX.date,            // reference rate date; blank = trade rate
+      ProceedsFXRate: saleFX.rate,
+      ProceedsFXDate: saleFX.date,
+      GainINR: proceedsINR - costForGain,
+      IndexedCostINR: indexedCost,
+      IndexedGainINR: indexedGain,
       HoldingDays: holding,
-      GainType: holding >= rule.HoldingPeriod_LT_Days ? "LTCG" : "STCG",
+      GainType: gainType,
+      TaxRate: gainType === "LTCG" ? rule.LTCG_Tax_Rate : rule.STCG_Tax_Rate,
       AssetClass: asset,
       FinancialYear: fyFromDate(sell)
     };
   });
 
   writeTable("Gains_Realized", gains);
+  writeTable("Income_Realized", income);
+  appendLedgerExceptions_("computeRealizedGains", exceptions);
+}
+
+/** OwnerId -> SpouseId from Entities (either owner's SpouseId links both). */
+function spouseMap_() {
+  const spouseOf = {};
+  readTable("Entities").filter(e => e.EntityType === "OWNER" && e.SpouseId).forEach(e => {
+    spouseOf[e.EntityId] = e.SpouseId;
+    if (!spouseOf[e.SpouseId]) spouseOf[e.SpouseId] = e.EntityId;
+  });
+  return spouseOf;
+}
+
+/** Section 64: gains on a lot (or consume) gifted by the owner's spouse are taxed in the donor's hands. */
+function lotTaxableOwner_(lot, spouseOf) {
+  return lot.GiftedById && spouseOf[lot.OwnerId] === lot.GiftedById ? lot.GiftedById : lot.OwnerId;
+}
+
+/** Owner a Gains_Realized row is taxed to (the donor spouse when clubbed). */
+function taxableOwner_(g) {
+  return g.TaxableOwnerId || g.OwnerId;
+}
+
+/**** Capital Loss Set-off ****/
+/**
+ * Set capital losses off against gains per owner per FY, oldest FY first, and return
+ * the Loss_CarryForward rows. Adds LossSetOffINR (loss absorbed) to every bucket.
+ * - Current-year LTCL against LTCG only, then STCL against STCG or LTCG
+ * - Brought-forward losses (oldest first) by the same rules, for 8 FYs after the loss FY
+ * - Within the allowed gains, the highest-rate bucket absorbs first; SLAB ranks at the owner's slab rate
+ * @param {function(string, string): number} slabRateOf - (OwnerId, FinancialYear) => slab rate
+ */
+function setOffCapitalLosses_(buckets, slabRateOf) {
+  const fyStart = fy => Number(String(fy).slice(0, 4));
+  const lastFY = buckets.reduce((m, r) => Math.max(m, fyStart(r.FinancialYear)), 0);
+
+  const groups = {};
+  buckets.forEach(r => {
+    r.LossSetOffINR = 0;
+    const k = r.OwnerId + "|" + r.FinancialYear;
+    if (!groups[k]) groups[k] = [];
+    groups[k].push(r);
+  });
+
+  const carry = [];
+  Object.keys(groups)
+    .sort((a, b) => fyStart(a.split("|")[1]) - fyStart(b.split("|")[1]) || a.localeCompare(b))
+    .forEach(k => {
+      const rows = groups[k];
+      const [owner, fy] = k.split("|");
+      const slabRate = slabRateOf(owner, fy);
+      const gainRows = rows
+        .filter(r => r.GrossGainINR > 0)
+        .sort((a, b) => parseTaxRate(b.TaxRate, slabRate) - parseTaxRate(a.TaxRate, slabRate) || a.GainType.localeCompare(b.GainType));
+
+      // Absorb a loss into the allowed gain types; returns the unabsorbed remainder
+      const absorb = (amount, gainTypes) => {
+        gainRows.filter(r => gainTypes.includes(r.GainType)).forEach(r => {
+          const take = Math.min(amount, r.GrossGainINR - r.LossSetOffINR);
+          r.LossSetOffINR += take;
+          amount -= take;
+        });
+        return amount;
+      };
+      const lossOf = type => rows
+        .filter(r => r.GainType === type && r.GrossGainINR < 0)
+        .reduce((sum, r) => sum - r.GrossGainINR, 0);
+
+      const ltclLeft = absorb(lossOf("LTCG"), ["LTCG"]);
+      const stclLeft = absorb(lossOf("STCG"), ["STCG", "LTCG"]);
+
+      carry
+        .filter(c => c.OwnerId === owner && c.BalanceINR > 0 && fyStart(fy) <= fyStart(c.LossFY) + 8)
+        .forEach(c => {
+          const used = c.BalanceINR - absorb(c.BalanceINR, c.LossType === "LTCL" ? ["LTCG"] : ["STCG", "LTCG"]);
+          c.SetOffINR += used;
+          c.BalanceINR -= used;
+        });
+
+      [["LTCL", ltclLeft], ["STCL", stclLeft]].forEach(([type, left]) => {
+        if (left <= 0) return;
+        carry.push({
+          OwnerId: owner,
+          LossFY: fy,
+          LossType: type,
+          LossINR: left,
+          SetOffINR: 0,
+          ExpiredINR: 0,
+          BalanceINR: left,
+          ExpiresAfterFY: `${fyStart(fy) + 8}-${fyStart(fy) + 9}`
+        });
+      });
+    });
+
+  // Losses past their last FY (relative to the latest FY with gains) lapse
+  carry.forEach(c => {
+    if (lastFY > fyStart(c.LossFY) + 8) {
+      c.ExpiredINR = c.BalanceINR;
+      c.BalanceINR = 0;
+    }
+  });
+
+  return carry;
 }
 
 /**** Builds Tax Summary ****/
 function buildTaxSummaryByFY() {
-  const gains = readTable("Gains_Realized");
-  const tax = Object.fromEntries(readTable("Config").map(t => [t.AssetClass, t]));
+  const { summary, carryForward } = summarizeGains_(readTable("Gains_Realized"), readTable("Config"), readOptionalTable_("Owner_Tax_Profile"));
+
+  writeTable("Tax_Summary_FY", summary);
+  writeTable("Loss_CarryForward", carryForward);
+}
 
+/**
+ * Tax_Summary_FY rows (after loss set-off and exemption) and Loss_CarryForward rows for a set of
+ * Gains_Realized rows. Shared by buildTaxSummaryByFY() and the advance-tax schedule.
+ */
+function summarizeGains_(gains, taxRules, profiles) {
   const map = {};
 
+  // One bucket per rate: a rule change mid-year (e.g. 23-Jul-2024) splits the FY
   gains.forEach(g => {
-    const k = [g.OwnerId, g.FinancialYear, g.AssetClass, g.GainType].join("|");
+    const owner = taxableOwner_(g);
+    const k = [owner, g.FinancialYear, g.AssetClass, g.GainType, g.TaxRate].join("|");
     if (!map[k]) map[k] = {
-      OwnerId: g.OwnerId,
+      OwnerId: owner,
       FinancialYear: g.FinancialYear,
       AssetClass: g.AssetClass,
       GainType: g.GainType,
-      GrossGainINR: 0
+      GrossGainINR: 0,
+      TaxRate: g.TaxRate
     };
-    map[k].GrossGainINR += Number(g.GainINR);
+    const indexed = g.IndexedGainINR !== undefined && g.IndexedGainINR !== "";
+    map[k].GrossGainINR += Number(indexed ? g.IndexedGainINR : g.GainINR);
+  });
+
+  const buckets = Object.values(map);
+  const slabRateOf = (owner, fy) => parseTaxRate(ownerTaxProfile_(profiles, owner, fy).SlabRate || "30%");
+  const carryForward = setOffCapitalLosses_(buckets, slabRateOf);
+
+  // Section 112A exemption: one limit per owner per FY, shared by every asset class whose rule
+  // in force at FY end has LTCG_Exemption_INR > 0, on gains left after set-off, highest rate first
+  const rateOf = r => parseTaxRate(r.TaxRate, slabRateOf(r.OwnerId, r.FinancialYear));
+  const fyEndRule = r => taxRuleFor_(taxRules, r.AssetClass, `${r.FinancialYear.split("-")[1]}-03-31`) || {};
+  const exemptLeft = {};
+  buckets.forEach(r => {
+    const limit = Number(fyEndRule(r).LTCG_Exemption_INR) || 0;
+    const pool = r.OwnerId + "|" + r.FinancialYear;
+    exemptLeft[pool] = Math.max(exemptLeft[pool] || 0, limit);
+  });
+  buckets.slice()
+    .sort((a, b) => rateOf(b) - rateOf(a))
+    .forEach(r => {
+      r.ExemptINR = 0;
+      if (r.GainType !== "LTCG" || !(Number(fyEndRule(r).LTCG_Exemption_INR) > 0)) return;
+      const pool = r.OwnerId + "|" + r.FinancialYear;
+      r.ExemptINR = Math.max(0, Math.min(exemptLeft[pool], r.GrossGainINR - r.LossSetOffINR));
+      exemptLeft[pool] -= r.ExemptINR;
+    });
+
+  const summary = buckets.map(r => ({
+    OwnerId: r.OwnerId,
+    FinancialYear: r.FinancialYear,
+    AssetClass: r.AssetClass,
+    GainType: r.GainType,
+    GrossGainINR: r.GrossGainINR,
+    LossSetOffINR: r.LossSetOffINR,
+    ExemptINR: r.ExemptINR,
+    TaxableINR: Math.max(0, r.GrossGainINR - r.LossSetOffINR - r.ExemptINR),  // loss buckets are 0
+    TaxRate: r.TaxRate
+  }));
+
+  return { summary, carryForward };
+}
+
+/**** Builds Tax Liability ****/
+/**
+ * Tax on capital gains per owner per FY from Tax_Summary_FY and Owner_Tax_Profile.
+ * SLAB rows use the owner's SlabRate. Surcharge follows total income (OtherIncomeINR + taxable gains)
+ * and is capped at 15% on special-rate gains (111A/112/112A). Cess is 4% of tax plus surcharge.
+ * Marginal relief and the 87A rebate are not applied.
+ */
+function buildTaxLiabilityByFY() {
+  writeTable("Tax_Liability_FY", taxLiabilityRows_(readTable("Tax_Summary_FY"), readOptionalTable_("Owner_Tax_Profile")));
+}
+
+/** Owner_Tax_Profile row for an owner and FY: an FY-specific row wins over a row with blank FinancialYear. */
+function ownerTaxProfile_(profiles, owner, fy) {
+  return profiles.find(p => p.OwnerId === owner && p.FinancialYear === fy) ||
+    profiles.find(p => p.OwnerId === owner && !p.FinancialYear) || {};
+}
+
+/** Tax_Liability_FY rows for Tax_Summary_FY rows and Owner_Tax_Profile rows. */
+function taxLiabilityRows_(summary, profiles) {
+  // [income above, rate]; the new regime stops at 25%
+  const surchargeSlabs = [[50000000, 0.37], [20000000, 0.25], [10000000, 0.15], [5000000, 0.10]];
+  const specialRateCap = 0.15;
+  const cessRate = 0.04;
+
+  const map = {};
+  summary.forEach(r => {
+    const k = r.OwnerId + "|" + r.FinancialYear;
+    if (!map[k]) {
+      const profile = ownerTaxProfile_(profiles, r.OwnerId, r.FinancialYear);
+      map[k] = {
+        OwnerId: r.OwnerId,
+        FinancialYear: r.FinancialYear,
+        Regime: profile.Regime || "NEW",
+        SlabRate: parseTaxRate(profile.SlabRate || "30%"),
+        OtherIncomeINR: Number(profile.OtherIncomeINR) || 0,
+        TaxableGainsINR: 0,
+        SlabTaxINR: 0,
+        SpecialTaxINR: 0
+      };
+    }
+    const m = map[k];
+    const taxable = Number(r.TaxableINR) || 0;
+    m.TaxableGainsINR += taxable;
+    if (r.TaxRate === "SLAB") m.SlabTaxINR += taxable * m.SlabRate;
+    else m.SpecialTaxINR += taxable * parseTaxRate(r.TaxRate);
+  });
+
+  return Object.values(map).map(m => {
+    const totalIncome = m.OtherIncomeINR + m.TaxableGainsINR;
+    const slab = surchargeSlabs.find(([above]) => totalIncome > above);
+    let surchargeRate = slab ? slab[1] : 0;
+    if (m.Regime === "NEW") surchargeRate = Math.min(surchargeRate, 0.25);
+
+    const tax = m.SlabTaxINR + m.SpecialTaxINR;
+    const surcharge = m.SlabTaxINR * surchargeRate + m.SpecialTaxINR * Math.min(surchargeRate, specialRateCap);
+    const cess = (tax + surcharge) * cessRate;
+
+    return {
+      OwnerId: m.OwnerId,
+      FinancialYear: m.FinancialYear,
+      Regime: m.Regime,
+      SlabRate: m.SlabRate,
+      OtherIncomeINR: m.OtherIncomeINR,
+      TaxableGainsINR: m.TaxableGainsINR,
+      TaxINR: tax,
+      SurchargeRate: surchargeRate,
+      SurchargeINR: surcharge,
+      CessINR: cess,
+      TotalTaxINR: tax + surcharge + cess
+    };
+  });
+}
+
+/**** Advance Tax Schedule ****/
+/**
+ * Advance_Tax_Schedule: per owner per FY and instalment due date, tax on the gains realized
+ * up to that date (set-off, exemption, surcharge and cess as in Tax_Liability_FY) and the
+ * Section 234C shortfall against Advance_Tax_Paid. Tax on capital gains is only due from the
+ * instalments after the gain arises, so each due date uses the cumulative gains to that date.
+ * Interest is 1% a month on the shortfall: 3 months for Jun/Sep/Dec, 1 month for Mar.
+ * Only capital gains are covered; other income and the ₹10,000 threshold are not.
+ */
+function buildAdvanceTaxSchedule() {
+  const gains = readTable("Gains_Realized");
+  const taxRules = readTable("Config");
+  const profiles = readOptionalTable_("Owner_Tax_Profile");
+  const payments = readOptionalTable_("Advance_Tax_Paid");
+
+  // [month-day, cumulative %, % below which interest applies, interest months]
+  const instalments = [["06-15", 0.15, 0.12, 3], ["09-15", 0.45, 0.36, 3], ["12-15", 0.75, 0.75, 3], ["03-15", 1, 1, 1]];
+  const gainOf = g => Number(g.IndexedGainINR !== undefined && g.IndexedGainINR !== "" ? g.IndexedGainINR : g.GainINR);
+
+  const ownerYears = {};
+  gains.forEach(g => { ownerYears[taxableOwner_(g) + "|" + g.FinancialYear] = true; });
+
+  const out = [];
+  Object.keys(ownerYears).sort().forEach(k => {
+    const [owner, fy] = k.split("|");
+    const [startYear, endYear] = fy.split("-").map(Number);
+    // Earlier FYs are included so brought-forward losses are set off
+    const ownerGains = gains.filter(g => taxableOwner_(g) === owner && g.FinancialYear <= fy);
+
+    instalments.forEach(([monthDay, pct, threshold, months]) => {
+      const dueDate = `${monthDay.startsWith("03") ? endYear : startYear}-${monthDay}`;
+      const upToDue = ownerGains.filter(g => g.FinancialYear < fy || isoDate_(g.SellDate) <= dueDate);
+      const summary = summarizeGains_(upToDue, taxRules, profiles).summary.filter(r => r.FinancialYear === fy);
+      const liability = taxLiabilityRows_(summary, profiles)[0];
+      const tax = liability ? liability.TotalTaxINR : 0;
+
+      const paid = payments
+        .filter(p => p.OwnerId === owner && isoDate_(p.PaidDate) >= `${startYear}-04-01` && isoDate_(p.PaidDate) <= dueDate)
+        .reduce((sum, p) => sum + Number(p.AmountINR), 0);
+      const required = tax * pct;
+      const shortfall = Math.max(0, required - paid);
+
+      out.push({
+        OwnerId: owner,
+        FinancialYear: fy,
+        DueDate: dueDate,
+        InstalmentPct: pct * 100,
+        CumulativeGainsINR: upToDue.filter(g => g.FinancialYear === fy).reduce((sum, g) => sum + gainOf(g), 0),
+        EstimatedTaxINR: tax,
+        RequiredINR: required,
+        PaidToDateINR: paid,
+        ShortfallINR: shortfall,
+        Interest234CINR: paid < tax * threshold ? shortfall * 0.01 * months : 0
+      });
+    });
+  });
+
+  writeTable("Advance_Tax_Schedule", out);
+}
+
+/**** Tax-loss Harvesting ****/
+/**
+ * Harvest_Candidates: open lots with an unrealised loss at Prices, and the tax saved if the loss
+ * were booked this FY against the owner's Gains_Realized (set-off, exemption, surcharge and cess
+ * as in Tax_Liability_FY). Selling by FIFO reaches a lot only after the older lots in its FIFO pool,
+ * so the Fifo* columns show the effect of selling those too; SaleLotSelections avoids that.
+ * Lots without a usable price are logged in Ledger_Exceptions. A FIFO pool is one security,
+ * so a priced candidate never has an unpriced lot ahead of it.
+ * @param {Date|string} [asOf] - Defaults to Settings.Harvest_AsOfDate, else today
+ */
+function buildHarvestCandidates(asOf) {
+  const settings = readSettings_({ Harvest_AsOfDate: "" });
+  const asOfIso = isoDate_(asOf || settings.Harvest_AsOfDate || new Date());
+  const asOfDate = new Date(asOfIso);
+  const fy = fyFromDate(asOfDate);
+
+  const secs = Object.fromEntries(readTable("Securities").map(s => [s.SecurityId, s]));
+  const taxRules = readTable("Config");
+  const gains = readTable("Gains_Realized");
+  const profiles = readOptionalTable_("Owner_Tax_Profile");
+  const prices = Object.fromEntries(readOptionalTable_("Prices").map(p => [p.SecurityId, p]));
+  const spouseOf = spouseMap_();
+  const exceptions = [];
+
+  // Lot value and the gain row a sale on asOf would add; null without a price (logged)
+  const valued = readTable("Lots_Current")
+    .filter(l => Number(l.OpenQty) > 0)
+    .map(l => {
+      const sec = secs[l.SecurityId] || {};
+      const currency = sec.TradingCurrency || "USD";
+      const price = prices[l.SecurityId] || {};
+      if (!(Number(price.Price) > 0) || (currency !== "INR" && !(Number(price.FXRate) > 0))) {
+        exceptions.push(ledgerException_("buildHarvestCandidates", {
+          ExceptionType: "MISSING_PRICE", EventId: l.LotId, EventType: "PRICE", EventDate: asOfIso,
+          OwnerId: l.OwnerId, SecurityId: l.SecurityId,
+          Message: `${l.LotId}: no ${l.SecurityId} price${currency === "INR" ? "" : " or FXRate"} in Prices; not valued for harvesting`
+        }));
+        return null;
+      }
+      const value = Number(l.OpenQty) * Number(price.Price) * (currency === "INR" ? 1 : Number(price.FXRate));
+      const rule = taxRuleFor_(taxRules, sec.AssetClass, asOfDate) || {};
+      const ltDays = Number(rule.HoldingPeriod_LT_Days) || 365;
+      const gainType = daysBetween(new Date(l.BuyDate), asOfDate) >= ltDays ? "LTCG" : "STCG";
+      const scope = rule.FIFO_Scope || "OWNER";
+      return {
+        lot: l,
+        buyDate: isoDate_(l.BuyDate),
+        value: value,
+        pool: [l.OwnerId, l.SecurityId, scope === "ACCOUNT" ? l.AccountId : "", scope === "BROKER" ? l.BrokerId : ""].join("|"),
+        gain: {
+          OwnerId: l.OwnerId,
+          TaxableOwnerId: lotTaxableOwner_(l, spouseOf),
+          SecurityId: l.SecurityId,
+          LotId: l.LotId,
+          SellDate: asOfIso,
+          GainINR: value - Number(l.CostINR),
+          GainType: gainType,
+          TaxRate: gainType === "LTCG" ? rule.LTCG_Tax_Rate : rule.STCG_Tax_Rate,
+          AssetClass: sec.AssetClass,
+          FinancialYear: fy
+        }
+      };
+    })
+    .filter(v => v !== null);
+
+  // Total tax for the owner's FY with extra hypothetical gains (earlier FYs give brought-forward losses)
+  const taxWith = (owner, extra) => {
+    const ownerGains = gains.filter(g => taxableOwner_(g) === owner && g.FinancialYear <= fy).concat(extra);
+    const summary = summarizeGains_(ownerGains, taxRules, profiles).summary.filter(r => r.FinancialYear === fy);
+    const liability = taxLiabilityRows_(summary, profiles)[0];
+    return liability ? liability.TotalTaxINR : 0;
+  };
+
+  const out = [];
+  valued.filter(v => v.gain.GainINR < 0).forEach(v => {
+    const owner = v.gain.TaxableOwnerId;
+    const baseTax = taxWith(owner, []);
+    // Older lots in the same FIFO pool are sold first
+    const ahead = valued.filter(o => o !== v && o.pool === v.pool &&
+      (o.buyDate < v.buyDate || (o.buyDate === v.buyDate && valued.indexOf(o) < valued.indexOf(v))));
+    const aheadGain = ahead.reduce((sum, o) => sum + o.gain.GainINR, 0);
+
+    out.push({
+      OwnerId: v.lot.OwnerId,
+      TaxableOwnerId: owner,
+      FinancialYear: fy,
+      LotId: v.lot.LotId,
+      SourceId: v.lot.SourceId,
+      SecurityId: v.lot.SecurityId,
+      AccountId: v.lot.AccountId,
+      BuyDate: v.lot.BuyDate,
+      Qty: Number(v.lot.OpenQty),
+      CostINR: Number(v.lot.CostINR),
+      ValueINR: v.value,
+      GainINR: v.gain.GainINR,
+      GainType: v.gain.GainType,
+      TaxSavedINR: baseTax - taxWith(owner, [v.gain]),
+      FifoLotsAhead: ahead.length,
+      FifoAheadGainINR: aheadGain,
+      FifoNetGainINR: aheadGain + v.gain.GainINR,
+      FifoTaxSavedINR: baseTax - taxWith(owner, ahead.map(o => o.gain).concat([v.gain]))
+    });
+  });
+
+  writeTable("Harvest_Candidates", out);
+  appendLedgerExceptions_("buildHarvestCandidates", exceptions);
+}
+
+/**** Foreign Tax Credit (Form 67) ****/
+/**
+ * Foreign_Tax_Credit: foreign dividends and the tax withheld on them per owner, FY and country.
+ * DIVIDEND rows carry the gross amount; withholding is a TAX row whose LinkedCashTxnId is the
+ * dividend's CashTxnId. INR values use the Rule 115 TT buying rate (last day of the previous month),
+ * else the nearest trade rate, logged in Ledger_Exceptions.
+ * Country comes from the dividend's security, else its account.
+ */
+function buildForeignTaxCredit() {
+  const cash = readTable("CashMovements");
+  const secs = Object.fromEntries(readTable("Securities").map(s => [s.SecurityId, s]));
+  const accounts = Object.fromEntries(
+    readTable("Entities").filter(e => e.EntityType === "ACCOUNT").map(a => [a.EntityId, a])
+  );
+  const ttbrOnOrBefore = ttbrLookup_();
+  const tradeRateNear = tradeFxLookup_();
+  const exceptions = [];
+
+  const withheld = {};
+  cash.filter(c => c.Category === "TAX" && c.LinkedCashTxnId).forEach(c => {
+    withheld[c.LinkedCashTxnId] = (withheld[c.LinkedCashTxnId] || 0) - Number(c.Amount);
+  });
+
+  const map = {};
+  cash
+    .filter(c => c.Category === "DIVIDEND" && (c.IsForeignIncome === true || c.IsForeignIncome === "TRUE"))
+    .forEach(c => {
+      const date = isoDate_(c.TxnDate);
+      let rate = 1;
+      if (c.Currency !== "INR") {
+        const ref = ttbrOnOrBefore(c.Currency, rule115Date_(date));
+        rate = ref ? ref.rate : tradeRateNear(c.Currency, date) || 0;
+        if (!ref) {
+          exceptions.push(ledgerException_("buildForeignTaxCredit", {
+            ExceptionType: "MISSING_FX_RATE", EventId: c.CashTxnId, EventType: c.Category, EventDate: date,
+            OwnerId: c.OwnerId, SecurityId: c.SecurityId,
+            Message: `${c.CashTxnId}: no ${c.Currency} TT buying rate for ${rule115Date_(date)}; using trade rate ${rate}`
+          }));
+        }
+      }
+      const country = (secs[c.SecurityId] || {}).Country || (accounts[c.AccountId] || {}).Country || "";
+      const fy = fyFromDate(c.TxnDate);
+      const k = [c.OwnerId, fy, country, c.Currency].join("|");
+      if (!map[k]) {
+        map[k] = {
+          OwnerId: c.OwnerId,
+          FinancialYear: fy,
+          Country: country,
+          Currency: c.Currency,
+          GrossDividendNative: 0,
+          TaxWithheldNative: 0,
+          GrossDividendINR: 0,
+          TaxWithheldINR: 0
+        };
+      }
+      const tax = withheld[c.CashTxnId] || 0;
+      map[k].GrossDividendNative += Number(c.Amount);
+      map[k].TaxWithheldNative += tax;
+      map[k].GrossDividendINR += Number(c.Amount) * rate;
+      map[k].TaxWithheldINR += tax * rate;
+    });
+
+  writeTable("Foreign_Tax_Credit", Object.values(map));
+  appendLedgerExceptions_("buildForeignTaxCredit", exceptions);
+}
+
+/**** LRS Utilisation ****/
+const LRS_DEFAULTS_ = { LRS_Limit_USD: 250000, LRS_TCS_Threshold_INR: 700000, LRS_TCS_Rate: "20%" };
+
+function buildLRSUtilisation() {
+  const exceptions = [];
+  writeTable("LRS_Utilisation", lrsUtilisation_(readTable("CashMovements"), exceptions));
+  appendLedgerExceptions_("buildLRSUtilisation", exceptions);
+}
+
+/**
+ * LRS_Utilisation rows per owner per FY from DEPOSIT rows into accounts with IsForeignAccount.
+ * INR and USD values use the FX_Rates TT buying rate on or before the deposit date (the bank's
+ * actual remittance rate is not recorded), else the nearest trade rate. TCS is charged on the FY's
+ * remittances above the threshold, in date order. Limit, threshold and rate come from Settings.
+ * @param {Array<Object>} cash - CashMovements rows
+ * @param {Array<Object>} [exceptions] - Receives a Ledger_Exceptions row per missing TT rate
+ */
+function lrsUtilisation_(cash, exceptions) {
+  const settings = readSettings_(LRS_DEFAULTS_);
+  const limitUSD = Number(settings.LRS_Limit_USD);
+  const threshold = Number(settings.LRS_TCS_Threshold_INR);
+  const tcsRate = parseTaxRate(settings.LRS_TCS_Rate);
+
+  const foreignAccounts = {};
+  readTable("Entities")
+    .filter(e => e.EntityType === "ACCOUNT" && (e.IsForeignAccount === true || e.IsForeignAccount === "TRUE"))
+    .forEach(a => { foreignAccounts[a.EntityId] = true; });
+  const ttbrOnOrBefore = ttbrLookup_();
+  const tradeRateNear = tradeFxLookup_();
+  const rateOn = (c, currency, date) => {
+    if (currency === "INR") return 1;
+    const ref = ttbrOnOrBefore(currency, date);
+    if (ref) return ref.rate;
+    const rate = tradeRateNear(currency, date) || 0;
+    (exceptions || []).push(ledgerException_("buildLRSUtilisation", {
+      ExceptionType: "MISSING_FX_RATE", EventId: c.CashTxnId, EventType: c.Category, EventDate: date, OwnerId: c.OwnerId,
+      Message: `${c.CashTxnId}: no ${currency} TT buying rate for ${date}; using trade rate ${rate}`
+    }));
+    return rate;
+  };
+
+  const map = {};
+  cash
+    .filter(c => c.Category === "DEPOSIT" && foreignAccounts[c.AccountId])
+    .sort((a, b) => isoDate_(a.TxnDate).localeCompare(isoDate_(b.TxnDate)))
+    .forEach(c => {
+      const date = isoDate_(c.TxnDate);
+      const fy = fyFromDate(c.TxnDate);
+      const k = c.OwnerId + "|" + fy;
+      if (!map[k]) {
+        map[k] = {
+          OwnerId: c.OwnerId,
+          FinancialYear: fy,
+          Remittances: 0,
+          RemittedUSD: 0,
+          RemittedINR: 0,
+          LimitUSD: limitUSD,
+          HeadroomUSD: limitUSD,
+          TCSINR: 0
+        };
+      }
+      const m = map[k];
+      const amountINR = Number(c.Amount) * rateOn(c, c.Currency, date);
+      const amountUSD = c.Currency === "USD" ? Number(c.Amount) : amountINR / rateOn(c, "USD", date);
+      const taxableBefore = Math.max(0, m.RemittedINR - threshold);
+      m.Remittances += 1;
+      m.RemittedUSD += amountUSD;
+      m.RemittedINR += amountINR;
+      m.HeadroomUSD = limitUSD - m.RemittedUSD;
+      m.TCSINR += (Math.max(0, m.RemittedINR - threshold) - taxableBefore) * tcsRate;
+    });
+
+  return Object.values(map);
+}
+
+/**** Schedule FA (Foreign Assets) ****/
+/**
+ * Schedule FA rows (one per holding) for a calendar year: lots of foreign securities
+ * (Securities.Country not IND/INDIA) or held in accounts with IsForeignAccount.
+ * A holding is a lot under one owner, account and security; a gift, transfer or merger
+ * ends it and starts another, and each side reports the part of the year it held.
+ * Holdings are replayed from Trades and LotActions. Values are INR at the TT buying
+ * rate (FX_Rates) on or before each date; Price_History holds native closes as quoted
+ * on each date. Dividends need CashMovements.SecurityId and are split across holdings by
+ * quantity held. Dividends that cannot be attributed, missing TT rates (the trade rate is
+ * used) and missing year-end prices (closing value 0) are logged in Ledger_Exceptions.
+ * @param {number} calendarYear - e.g. 2024
+ */
+function buildScheduleFA(calendarYear) {
+  const yearStart = `${calendarYear}-01-01`;
+  const yearEnd = `${calendarYear}-12-31`;
+  const inYear = d => d >= yearStart && d <= yearEnd;
+
+  const secs = Object.fromEntries(readTable("Securities").map(s => [s.SecurityId, s]));
+  const accounts = Object.fromEntries(
+    readTable("Entities").filter(e => e.EntityType === "ACCOUNT").map(a => [a.EntityId, a])
+  );
+  const ttbrOnOrBefore = ttbrLookup_();
+  const tradeRateNear = tradeFxLookup_();
+  const exceptions = [];
+
+  // Native closes per security, oldest first
+  const prices = {};
+  readOptionalTable_("Price_History").forEach(p => {
+    if (!prices[p.SecurityId]) prices[p.SecurityId] = [];
+    prices[p.SecurityId].push({ date: isoDate_(p.Date), price: Number(p.Price) });
   });
+  Object.values(prices).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+  // TT buying rate for an event x (EventId, EventType, OwnerId, SecurityId); without one, the
+  // event's own trade rate or the nearest trade's, logged once per event and date
+  const logged = {};
+  const fxOn = (currency, date, x, tradeRate) => {
+    if (currency === "INR") return 1;
+    const ref = ttbrOnOrBefore(currency, date);
+    if (ref) return ref.rate;
+    const rate = Number(tradeRate) || tradeRateNear(currency, date) || 0;
+    const k = [x.EventId, currency, date].join("|");
+    if (!logged[k]) {
+      logged[k] = true;
+      exceptions.push(ledgerException_("buildScheduleFA", Object.assign({}, x, {
+        ExceptionType: "MISSING_FX_RATE", EventDate: date,
+        Message: `${x.EventId}: no ${currency} TT buying rate within ${TTBR_MAX_AGE_BUSINESS_DAYS_} business days before ${date}; using trade rate ${rate}`
+      })));
+    }
+    return rate;
+  };
+
+  const holdingKey = (lotId, ownerId, accountId, securityId) => [lotId, ownerId, accountId, securityId].join("|");
+
+  // Holdings at the end of the last day before the year and of each day in it with events,
+  // and each holding's start (date and cost at the end of that day)
+  const days = [];
+  const started = {};
+  const { consumes, consumedFrom } = replayLots_(null, (date, lots, heldSince) => {
+    if (date > yearEnd) return;
+    const state = {};
+    lots.forEach(l => {
+      const key = holdingKey(l.LotId, l.OwnerId, l.AccountId, l.SecurityId);
+      state[key] = { LotId: l.LotId, OwnerId: l.OwnerId, AccountId: l.AccountId, SecurityId: l.SecurityId, OpenQty: l.OpenQty };
+      if (heldSince[l.LotId] === date) started[key] = { date: date, costNative: l.CostNative, buyFXRate: l.BuyFXRate };
+    });
+    if (date < yearStart) days.length = 0;
+    days.push({ date: date, state: state });
+  });
+  const stateOn = date => (days.filter(day => day.date <= date).pop() || { state: {} }).state;
+  const qtyOn = (key, date) => (stateOn(date)[key] || {}).OpenQty || 0;
+  // A sale belongs to the holding the lot was in when sold (it may move later that day)
+  const consumeKey = c => holdingKey(c.LotId, c.OwnerId, consumedFrom[c.ConsumeId], c.SecurityId);
+
+  // Held at some point in the year: open at the start or the end of an event day, or sold in the year
+  const holdings = {};
+  days.forEach(day => Object.entries(day.state).forEach(([key, h]) => {
+    if (h.OpenQty > 0) holdings[key] = h;
+  }));
+  const sold = {};
+  consumes.filter(c => inYear(isoDate_(c.SellDate))).forEach(c => {
+    const key = consumeKey(c);
+    if (!holdings[key]) {
+      holdings[key] = { LotId: c.LotId, OwnerId: c.OwnerId, AccountId: consumedFrom[c.ConsumeId], SecurityId: c.SecurityId };
+    }
+    (sold[key] = sold[key] || []).push(c);
+  });
+
+  const isForeign = h => {
+    const sec = secs[h.SecurityId] || {};
+    const acc = accounts[h.AccountId] || {};
+    const country = String(sec.Country || "").toUpperCase();
+    return (country !== "" && country !== "IND" && country !== "INDIA") ||
+      acc.IsForeignAccount === true || acc.IsForeignAccount === "TRUE";
+  };
+  const inScope = Object.keys(holdings).filter(key => isForeign(holdings[key]));
+
+  const dividends = {};
+  readTable("CashMovements")
+    .filter(c => c.Category === "DIVIDEND" && (c.IsForeignIncome === true || c.IsForeignIncome === "TRUE") &&
+      inYear(isoDate_(c.TxnDate)))
+    .forEach(c => {
+      const date = isoDate_(c.TxnDate);
+      const held = inScope.filter(key => holdings[key].OwnerId === c.OwnerId && holdings[key].SecurityId === c.SecurityId);
+      const totalQty = held.reduce((sum, key) => sum + qtyOn(key, date), 0);
+      if (totalQty <= 0) {
+        exceptions.push(ledgerException_("buildScheduleFA", {
+          ExceptionType: "UNATTRIBUTED_DIVIDEND", EventId: c.CashTxnId, EventType: c.Category, EventDate: date,
+          OwnerId: c.OwnerId, SecurityId: c.SecurityId,
+          Message: c.SecurityId
+            ? `${c.CashTxnId}: ${c.OwnerId} held no ${c.SecurityId} on ${date}; not attributed to a holding`
+            : `${c.CashTxnId}: no SecurityId; not attributed to a holding`
+        }));
+        return;
+      }
+      const amountINR = Number(c.Amount) * fxOn(c.Currency, date,
+        { EventId: c.CashTxnId, EventType: c.Category, OwnerId: c.OwnerId, SecurityId: c.SecurityId });
+      held.forEach(key => {
+        dividends[key] = (dividends[key] || 0) + amountINR * qtyOn(key, date) / totalQty;
+      });
+    });
 
-  const out = Object.values(map).map(r => {
-    const cfg = tax[r.AssetClass];
-    let exempt = (r.GainType === "LTCG") ? Number(cfg.LTCG_Exemption_INR) : 0;
-    exempt = Math.min(exempt, r.GrossGainINR);
+  const rows = inScope.map(key => {
+    const h = holdings[key];
+    const sec = secs[h.SecurityId] || {};
+    const currency = sec.TradingCurrency || "USD";
+    const history = prices[h.SecurityId] || [];
+    const priced = { EventId: h.LotId, EventType: "PRICE", OwnerId: h.OwnerId, SecurityId: h.SecurityId };
+
+    let peak = 0;
+    let peakDate = "";
+    history.filter(p => inYear(p.date)).forEach(p => {
+      const qty = qtyOn(key, p.date);
+      if (qty <= 0) return;
+      const value = qty * p.price * fxOn(currency, p.date, priced);
+      if (value > peak) {
+        peak = value;
+        peakDate = p.date;
+      }
+    });
+
+    const closingQty = qtyOn(key, yearEnd);
+    let closing = 0;
+    if (closingQty > 0) {
+      const close = history.filter(p => p.date <= yearEnd).pop();
+      if (close) {
+        closing = closingQty * close.price * fxOn(currency, yearEnd, priced);
+      } else {
+        exceptions.push(ledgerException_("buildScheduleFA", Object.assign({}, priced, {
+          ExceptionType: "MISSING_PRICE", EventDate: yearEnd,
+          Message: `${h.LotId}: no Price_History for ${h.SecurityId} on or before ${yearEnd}; closing value reported as 0`
+        })));
+      }
+    }
+    if (closing > peak) {
+      peak = closing;
+      peakDate = yearEnd;
+    }
+
+    const proceeds = (sold[key] || []).reduce((sum, c) => {
+      const sale = { EventId: c.TradeId, EventType: c.ConsumeType, OwnerId: c.OwnerId, SecurityId: c.SecurityId };
+      return sum + (Number(c.ProceedsNative) + Number(c.SaleFeesNative || 0)) *
+        fxOn(currency, isoDate_(c.SellDate), sale, c.SaleFXRate);
+    }, 0);
+
+    // Cost when the holding started, including any part sold that same day. A holding with no
+    // end-of-day state started and ended on the day of its sale (e.g. bought, part sold and the rest transferred)
+    const start = started[key] || { date: isoDate_(sold[key][0].SellDate), costNative: 0, buyFXRate: sold[key][0].CostFXRate };
+    const soldOnStart = consumes
+      .filter(c => isoDate_(c.SellDate) === start.date && consumeKey(c) === key)
+      .reduce((sum, c) => sum + Number(c.CostNative), 0);
 
     return {
-      ...r,
-      ExemptINR: exempt,
-      TaxableINR: r.GrossGainINR - exempt,
-      TaxRate: r.GainType === "LTCG" ? cfg.LTCG_Tax_Rate : cfg.STCG_Tax_Rate
+      CalendarYear: calendarYear,
+      OwnerId: h.OwnerId,
+      AccountId: h.AccountId,
+      SecurityId: h.SecurityId,
+      Name: sec.Name || "",
+      Country: sec.Country || "",
+      LotId: h.LotId,
+      AcquisitionDate: start.date,
+      Currency: currency,
+      InitialValueINR: (start.costNative + soldOnStart) *
+        fxOn(currency, start.date, Object.assign({}, priced, { EventType: "ACQUISITION" }), start.buyFXRate),
+      PeakValueINR: peak,
+      PeakValueDate: peakDate,
+      ClosingValueINR: closing,
+      GrossDividendsINR: dividends[key] || 0,
+      GrossProceedsINR: proceeds
     };
   });
 
-  writeTable("Tax_Summary_FY", out);
+  rows.sort((a, b) => a.OwnerId.localeCompare(b.OwnerId) ||
+    a.SecurityId.localeCompare(b.SecurityId) || a.AcquisitionDate.localeCompare(b.AcquisitionDate));
+
+  writeTable("Schedule_FA", rows);
+  appendLedgerExceptions_("buildScheduleFA", exceptions);
+}
+
+/**** Schedule CG / 112A Export ****/
+/**
+ * Capital-gains schedules for one owner and FY from Gains_Realized.
+ * Writes Schedule_112A (scrip-wise, per ISIN and before/after 1-Feb-2018) and Schedule_CG
+ * (totals per section with the advance-tax quarter breakup) and returns both as a JSON
+ * document using the income-tax utility field names. In local mode the document and
+ * CSV copies of both tables are written to the data folder.
+ * Sections: 112A/111A for asset classes with an LTCG exemption in force, 112 for other LTCG,
+ * STCG_OTHER for other STCG.
+ * @param {string} ownerId
+ * @param {string} financialYear - e.g. "2024-2025"
+ * @returns {Object} Schedule document
+ */
+function buildScheduleCG(ownerId, financialYear) {
+  const gains = readTable("Gains_Realized")
+    .filter(g => taxableOwner_(g) === ownerId && g.FinancialYear === financialYear);
+  const secs = Object.fromEntries(readTable("Securities").map(s => [s.SecurityId, s]));
+  const taxRules = readTable("Config");
+  const num = v => Number(v) || 0;
+  const blank = v => v === undefined || v === null || v === "";
+
+  const sectionOf = g => {
+    const rule = taxRuleFor_(taxRules, g.AssetClass, g.SellDate) || {};
+    const equity112A = num(rule.LTCG_Exemption_INR) > 0;
+    if (g.GainType === "LTCG") return equity112A ? "112A" : "112";
+    return equity112A ? "111A" : "STCG_OTHER";
+  };
+
+  // Schedule 112A: scrip-wise rows
+  const scrips = {};
+  gains.filter(g => sectionOf(g) === "112A").forEach(g => {
+    const sec = secs[g.SecurityId] || {};
+    const grandfathered = !blank(g.GrandfatheredCostINR);
+    const onOrBefore = isoDate_(g.BuyDate) < "2018-02-01" ? "BE" : "AE";
+    const k = [sec.ISIN || g.SecurityId, onOrBefore].join("|");
+    if (!scrips[k]) scrips[k] = {
+      OwnerId: ownerId,
+      FinancialYear: financialYear,
+      ShareOnOrBefore: onOrBefore,
+      ISINCode: sec.ISIN || "",
+      ShareUnitName: sec.Name || g.SecurityId,
+      NumSharesUnits: 0,
+      SalePricePerShareUnit: 0,
+      TotSaleValue: 0,
+      CostAcqWithoutIndx: 0,
+      AcquisitionCost: 0,
+      LTCAAcquiredBf: 0,
+      FairMktValuePerShareunit: onOrBefore === "BE" ? num(sec.FMV_31Jan2018_INR) : 0,
+      TotFairMktValueCapAst: 0,
+      ExpExclCnctTransfer: 0,
+      TotalDeductions: 0,
+      Balance: 0
+    };
+    const r = scrips[k];
+    const saleValue = num(g.ProceedsINR) + num(g.SaleFeesINR);
+    const fmvTotal = r.FairMktValuePerShareunit * num(g.Quantity);
+    const cost = grandfathered ? num(g.GrandfatheredCostINR) : num(g.CostINR);
+    r.NumSharesUnits += num(g.Quantity);
+    r.TotSaleValue += saleValue;
+    r.AcquisitionCost += num(g.CostINR);
+    r.CostAcqWithoutIndx += cost;
+    if (onOrBefore === "BE") {
+      r.TotFairMktValueCapAst += fmvTotal;
+      r.LTCAAcquiredBf += Math.min(fmvTotal, saleValue);
+    }
+    r.ExpExclCnctTransfer += num(g.SaleFeesINR);
+    r.TotalDeductions += cost + num(g.SaleFeesINR);
+    r.Balance += saleValue - cost - num(g.SaleFeesINR);
+  });
+  const rows112A = Object.values(scrips).map(r => ({
+    ...r,
+    SalePricePerShareUnit: r.NumSharesUnits ? r.TotSaleValue / r.NumSharesUnits : 0
+  }));
+
+  // Schedule CG: per section and rate, with the advance-tax quarter of each sale
+  const quarters = ["Upto15Of6", "Upto15Of9", "Up16Of9To15Of12", "Up16Of12To15Of3", "Up16Of3To31Of3"];
+  const sections = {};
+  gains.forEach(g => {
+    const section = sectionOf(g);
+    const k = [section, g.TaxRate].join("|");
+    if (!sections[k]) {
+      sections[k] = {
+        OwnerId: ownerId,
+        FinancialYear: financialYear,
+        Section: section,
+        GainType: g.GainType,
+        TaxRate: g.TaxRate,
+        FullValueConsdnINR: 0,
+        DeductSec48INR: 0,
+        BalanceINR: 0
+      };
+      quarters.forEach(q => { sections[k][q] = 0; });
+    }
+    const r = sections[k];
+    const gain = blank(g.IndexedGainINR) ? num(g.GainINR) : num(g.IndexedGainINR);
+    const saleValue = num(g.ProceedsINR) + num(g.SaleFeesINR);
+    r.FullValueConsdnINR += saleValue;
+    r.DeductSec48INR += saleValue - gain;
+    r.BalanceINR += gain;
+    r[advanceTaxPeriod_(g.SellDate)] += gain;
+  });
+  const rowsCG = Object.values(sections);
+
+  const sum = (rows, f) => rows.reduce((t, r) => t + r[f], 0);
+  const [fyStart, fyEnd] = financialYear.split("-").map(Number);
+  const doc = {
+    OwnerId: ownerId,
+    FinancialYear: financialYear,
+    AssessmentYear: `${fyStart + 1}-${String(fyEnd + 1).slice(2)}`,
+    Schedule112A: {
+      Schedule112ADtls: rows112A.map(({ OwnerId, FinancialYear, ...r }) => r),
+      SaleValue112A: sum(rows112A, "TotSaleValue"),
+      CostAcqWithoutIndx112A: sum(rows112A, "CostAcqWithoutIndx"),
+      AcquisitionCost112A: sum(rows112A, "AcquisitionCost"),
+      LTCAAcquiredBf112A: sum(rows112A, "LTCAAcquiredBf"),
+      FairMktValueCapAst112A: sum(rows112A, "TotFairMktValueCapAst"),
+      ExpExclCnctTransfer112A: sum(rows112A, "ExpExclCnctTransfer"),
+      Deductions112A: sum(rows112A, "TotalDeductions"),
+      Balance112A: sum(rows112A, "Balance")
+    },
+    ScheduleCG: rowsCG.map(r => ({
+      Section: r.Section,
+      GainType: r.GainType,
+      TaxRate: r.TaxRate,
+      FullValueConsdn: r.FullValueConsdnINR,
+      DeductSec48: r.DeductSec48INR,
+      Balance: r.BalanceINR,
+      AccruOrRecOfCG: Object.fromEntries(quarters.map(q => [q, r[q]]))
+    }))
+  };
+
+  writeTable("Schedule_112A", rows112A);
+  writeTable("Schedule_CG", rowsCG);
+  if (IS_LOCAL) {
+    const suffix = `${ownerId}_${financialYear}`;
+    writeTableLocal_(`Schedule_CG_${suffix}`, doc);
+    writeCsvLocal_(`Schedule_112A_${suffix}`, rows112A);
+    writeCsvLocal_(`Schedule_CG_${suffix}`, rowsCG);
+  }
+
+  return doc;
 }
 
 /**** Compute Cash Balance ****/
@@ -558,24 +2080,81 @@ function computeCashBalances() {
 }
 
 /**** Compute 180 Day Exposure ****/
-/**** dynamic age & status ****/
-function computeRBI180DayExposure() {
-  const cash = readTable("CashMovements")
-    .sort((a, b) => new Date(a.TxnDate) - new Date(b.TxnDate));
+const RBI_DEFAULTS_ = { RBI_Warn_Days: 150, RBI_Breach_Days: 180, RBI_AsOfDate: "" };
 
-  let buckets = [];
+/**
+ * Write RBI_180_Ageing as of a date.
+ * @param {Date|string} [asOf] - Defaults to Settings.RBI_AsOfDate, else today
+ */
+function computeRBI180DayExposure(asOf) {
+  const exceptions = [];
+  writeTable("RBI_180_Ageing", rbiAgeing_(asOf, exceptions));
+  appendLedgerExceptions_("computeRBI180DayExposure", exceptions);
+}
 
-  // Build FIFO foreign-income buckets
+/**
+ * Foreign-income buckets per owner and account, consumed FIFO by repatriations from the
+ * same owner and account: REPATRIATION rows, and WITHDRAWAL rows whose LinkedCashTxnId is a
+ * DEPOSIT into a non-foreign account. Withholding TAX linked to a dividend reduces that
+ * dividend's bucket. Other outflows (BUY_SETTLEMENT, FEE, ...) do not repatriate anything.
+ * AgeDays and Status are as of asOf; thresholds come from Settings (RBI_Warn_Days, RBI_Breach_Days).
+ * @param {Date|string} [asOf]
+ * @param {Array<Object>} [exceptions] - Receives a Ledger_Exceptions row per unlinked WITHDRAWAL
+ *   while the account holds foreign income (it may be a repatriation that needs linking)
+ */
+function rbiAgeing_(asOf, exceptions) {
+  const settings = readSettings_(RBI_DEFAULTS_);
+  const warnDays = Number(settings.RBI_Warn_Days);
+  const breachDays = Number(settings.RBI_Breach_Days);
+  const asOfDate = new Date(isoDate_(asOf || settings.RBI_AsOfDate || new Date()));
+
+  const cash = readTable("CashMovements")
+    .sort((a, b) => new Date(a.TxnDate) - new Date(b.TxnDate));
+  const byId = Object.fromEntries(cash.map(c => [c.CashTxnId, c]));
+  const foreignAccounts = {};
+  readTable("Entities")
+    .filter(e => e.EntityType === "ACCOUNT" && (e.IsForeignAccount === true || e.IsForeignAccount === "TRUE"))
+    .forEach(a => { foreignAccounts[a.EntityId] = true; });
+
+  const isRepatriation = c => {
+    if (Number(c.Amount) >= 0) return false;
+    if (c.Category === "REPATRIATION") return true;
+    if (c.Category !== "WITHDRAWAL") return false;
+    const landing = byId[c.LinkedCashTxnId];
+    return !!landing && landing.Category === "DEPOSIT" && !foreignAccounts[landing.AccountId];
+  };
+
+  const buckets = {};
+  const bucketByTxn = {};
+
+  // Build FIFO foreign-income buckets per owner and account
   cash.forEach(c => {
+    const k = c.OwnerId + "|" + c.AccountId;
+    if (!buckets[k]) buckets[k] = [];
     if (c.IsForeignIncome === true || c.IsForeignIncome === "TRUE") {
-      buckets.push({
+      const bucket = {
         OwnerId: c.OwnerId,
+        AccountId: c.AccountId,
+        Currency: c.Currency,
         StartDate: new Date(c.TxnDate),
+        StartIso: isoDate_(c.TxnDate),
         RemainingAmount: Number(c.Amount)
-      });
-    } else if (Number(c.Amount) < 0) {
+      };
+      buckets[k].push(bucket);
+      bucketByTxn[c.CashTxnId] = bucket;
+    } else if (c.Category === "TAX" && bucketByTxn[c.LinkedCashTxnId]) {
+      const b = bucketByTxn[c.LinkedCashTxnId];
+      b.RemainingAmount = Math.max(0, b.RemainingAmount + Number(c.Amount));
+    } else if (c.Category === "WITHDRAWAL" && !c.LinkedCashTxnId && Number(c.Amount) < 0 &&
+      buckets[k].some(b => b.RemainingAmount > 0)) {
+      (exceptions || []).push(ledgerException_("computeRBI180DayExposure", {
+        ExceptionType: "UNLINKED_WITHDRAWAL", EventId: c.CashTxnId, EventType: c.Category, EventDate: c.TxnDate,
+        OwnerId: c.OwnerId,
+        Message: `${c.CashTxnId}: withdrawal from ${c.AccountId} has no LinkedCashTxnId, so it repatriates no foreign income; link it to the DEPOSIT it landed as`
+      }));
+    } else if (isRepatriation(c)) {
       let use = -Number(c.Amount);
-      buckets.forEach(b => {
+      buckets[k].forEach(b => {
         if (use <= 0 || b.RemainingAmount <= 0) return;
         const m = Math.min(b.RemainingAmount, use);
         b.RemainingAmount -= m;
@@ -584,36 +2163,27 @@ function computeRBI180DayExposure() {
     }
   });
 
-  // Write base data (no age/status computation here)
-  writeTable(
-    "RBI_180_Ageing",
-    buckets
-      .filter(b => b.RemainingAmount > 0)
-      .map(b => ({
+  return Object.values(buckets)
+    .reduce((all, list) => all.concat(list), [])
+    .filter(b => b.RemainingAmount > 0)
+    .sort((a, b) => a.StartDate - b.StartDate)
+    .map(b => {
+      // Both dates are UTC midnight, so whole days
+      const start = new Date(b.StartIso);
+      const age = daysBetween(start, asOfDate);
+      const deadline = new Date(start);
+      deadline.setUTCDate(deadline.getUTCDate() + breachDays);
+      return {
         OwnerId: b.OwnerId,
+        AccountId: b.AccountId,
+        Currency: b.Currency,
         StartDate: b.StartDate,
         RemainingAmount: b.RemainingAmount,
-        AgeDays: "",   // formula
-        Status: ""     // formula
-      }))
-  );
-
-  // Insert dynamic formulas (skip in local mode)
-  if (IS_LOCAL) return;
-
-  const sh = SpreadsheetApp.getActive().getSheetByName("RBI_180_Ageing");
-  const lastRow = sh.getLastRow();
-  if (lastRow < 2) return;
-
-  // AgeDays = DAYS(TODAY(), StartDate)
-  sh.getRange(2, 4, lastRow - 1, 1).setFormulaR1C1(
-    `=DAYS(TODAY(), RC[-2])`
-  );
-
-  // Status logic based on AgeDays
-  sh.getRange(2, 5, lastRow - 1, 1).setFormulaR1C1(
-    `=IF(RC[-1]>180,"BREACH",IF(RC[-1]>150,"CLOSE TO BREACH","OK"))`
-  );
+        AgeDays: age,
+        DeadlineDate: deadline.toISOString().slice(0, 10),
+        Status: age > breachDays ? "BREACH" : age > warnDays ? "CLOSE TO BREACH" : "OK"
+      };
+    });
 }
 
 /**** Create Views ****/
@@ -789,16 +2359,14 @@ function buildSensitivityData() {
   const secs = Object.fromEntries(
     readTable("Securities").map(s => [s.SecurityId, s])
   );
-  const tax = Object.fromEntries(
-    readTable("Config").map(t => [t.AssetClass, t])
-  );
+  const taxRules = readTable("Config");
 
   const today = new Date();
 
   // Build concise analysis data
   const analysis = lots.filter(l => l.OpenQty > 0).map(l => {
     const sec = secs[l.SecurityId] || {};
-    const rule = tax[sec.AssetClass] || {};
+    const rule = taxRuleFor_(taxRules, sec.AssetClass, today) || {};
 
     const buyDate = new Date(l.BuyDate);
     const holdingDays = daysBetween(buyDate, today);
@@ -1119,6 +2687,10 @@ function rebuildAllDerived() {
   rebuildXIRRCashflows();
   computeRealizedGains();
   buildTaxSummaryByFY();
+  buildTaxLiabilityByFY();
+  buildAdvanceTaxSchedule();
+  buildForeignTaxCredit();
+  buildLRSUtilisation();
   computeCashBalances();
   computeRBI180DayExposure();
 
@@ -1128,6 +2700,7 @@ function rebuildAllDerived() {
   buildPortfolioSheetFromLedger_("US Portfolio", "US", "USA");
   buildEquityByAccountQC();
   buildSensitivityData();
+  buildHarvestCandidates();
 }
 
 
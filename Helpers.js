@@ -9,6 +9,13 @@
  */
 var IS_LOCAL = false;
 
+/**
+ * Set to true to make rebuildLots() throw when it records ledger exceptions
+ * (oversells, unknown securities) instead of writing them to Ledger_Exceptions.
+ * An ingest through the web API is rolled back when the rebuild throws.
+ */
+var STRICT_MODE = false;
+
 /**
  * Data folder path for local testing (relative to __dirname or absolute)
  * Set by test-local.js before running
@@ -109,6 +116,32 @@ function writeTable(name, rows) {
         .setValues(rows.map(r => headers.map(h => r[h])));
 }
 
+/**
+ * Read an input table that may not exist yet (returns an empty array instead of throwing).
+ * @template {TableName} T
+ * @param {T} name
+ * @returns {TableNameMap[T]}
+ */
+function readOptionalTable_(name) {
+    if (!IS_LOCAL && !SpreadsheetApp.getActive().getSheetByName(name)) {
+        return [];
+    }
+    return readTable(name);
+}
+
+/**
+ * Read the optional Settings table (Key/Value rows) into an object over the given defaults.
+ * @param {Object} defaults - Key -> value used when Settings has no row for the key
+ * @returns {Object}
+ */
+function readSettings_(defaults) {
+    const settings = Object.assign({}, defaults);
+    readOptionalTable_("Settings").forEach(r => {
+        if (r.Key && r.Value !== "" && r.Value !== undefined) settings[r.Key] = r.Value;
+    });
+    return settings;
+}
+
 function colIndexByHeader(sheet, headerName, startColumn) {
     startColumn = startColumn || 1;
     if (IS_LOCAL) {
@@ -141,6 +174,34 @@ function fyFromDate(d) {
     return (dt.getMonth() >= 3) ? `${y}-${y + 1}` : `${y - 1}-${y}`;
 }
 
+/**
+ * Format a date as YYYY-MM-DD. ISO strings pass through; Date objects (Sheets cells)
+ * use local date parts so a local-midnight date does not shift a day.
+ * @param {Date|string} d
+ * @returns {string}
+ */
+function isoDate_(d) {
+    if (typeof d === "string") return d.slice(0, 10);
+    const dt = new Date(d);
+    return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, "0")}-${String(dt.getDate()).padStart(2, "0")}`;
+}
+
+/**
+ * Advance-tax instalment window a date falls in, using the ITR quarterly breakup keys
+ * (15-Jun, 15-Sep, 15-Dec, 15-Mar, 31-Mar of the FY).
+ * @param {Date|string} d
+ * @returns {string} Upto15Of6 | Upto15Of9 | Up16Of9To15Of12 | Up16Of12To15Of3 | Up16Of3To31Of3
+ */
+function advanceTaxPeriod_(d) {
+    const [, m, day] = isoDate_(d).split("-").map(Number);
+    const md = m * 100 + day;
+    if (md >= 401 && md <= 615) return "Upto15Of6";
+    if (md >= 616 && md <= 915) return "Upto15Of9";
+    if (md >= 916 && md <= 1215) return "Up16Of9To15Of12";
+    if (md >= 1216 || md <= 315) return "Up16Of12To15Of3";
+    return "Up16Of3To31Of3";
+}
+
 function daysBetween(a, b) {
     return Math.floor((b - a) / (1000 * 60 * 60 * 24));
 }
@@ -208,6 +269,25 @@ function writeTableLocal_(name, rows) {
     }
 }
 
+/**
+ * Write rows as a CSV file next to the local JSON tables (header from the first row)
+ * @param {string} name - File name without extension
+ * @param {Array<Object>} rows - Array of row objects to write
+ */
+function writeCsvLocal_(name, rows) {
+    const fs = require('fs');
+    const path = require('path');
+    const headers = rows.length ? Object.keys(rows[0]) : [];
+    const cell = v => {
+        const str = v === undefined || v === null ? "" : String(v);
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const lines = [headers.join(",")].concat(rows.map(r => headers.map(h => cell(r[h])).join(",")));
+    const filePath = path.join(DATA_FOLDER, name + '.csv');
+    fs.writeFileSync(filePath, lines.join("\n") + "\n", 'utf8');
+    console.log(`Written ${rows.length} rows to ${filePath}`);
+}
+
 /**
  * Set IS_LOCAL flag programmatically
  * @param {boolean} value - true for local mode, false for Sheets mode
@@ -216,6 +296,29 @@ function setLocalMode(value) {
     IS_LOCAL = value;
 }
 
+/**
+ * Set STRICT_MODE flag programmatically
+ * @param {boolean} value - true to fail the rebuild on ledger exceptions
+ */
+function setStrictMode(value) {
+    STRICT_MODE = value;
+}
+
+/**
+ * Find the Config rule for an asset class in force on a date.
+ * Blank EffectiveFrom/EffectiveTo leave that end of the range open.
+ * @param {Array<Object>} rules - Config rows
+ * @param {string} assetClass - Asset class to look up
+ * @param {Date|string} date - Date the rule must cover
+ * @returns {Object|undefined} Matching Config row
+ */
+function taxRuleFor_(rules, assetClass, date) {
+    const d = new Date(date);
+    return rules.find(r => r.AssetClass === assetClass &&
+        (!r.EffectiveFrom || new Date(r.EffectiveFrom) <= d) &&
+        (!r.EffectiveTo || d <= new Date(r.EffectiveTo)));
+}
+
 /**
  * Parse tax rate from Config (handles "12.5%", "15%", "SLAB")
  * @param {string} rateStr - Tax rate string from Config
@@ -38,7 +38,14 @@ const SHEETS = [
     'Securities',
     'Trades',
     'LotActions',
-    'CashMovements'
+    'SaleLotSelections',
+    'CashMovements',
+    'CII',
+    'FX_Rates',
+    'Price_History',
+    'Owner_Tax_Profile',
+    'Advance_Tax_Paid',
+    'Settings'
 ];
 
 // Output folders
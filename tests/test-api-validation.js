@@ -177,6 +177,16 @@ test('OPENING_BALANCE category is valid', function () {
     assert.strictEqual(result.length, 0, 'Expected no errors, got: ' + JSON.stringify(result));
 });
 
+test('optional SecurityId on a dividend is accepted', function () {
+    var result = context.validateRows_([{
+        CashTxnId: 'CM_TEST3', TxnDate: '2025-01-20', OwnerId: 'ALICE',
+        AccountId: 'ACCT001', Currency: 'USD', Amount: 25,
+        Category: 'DIVIDEND', LinkedTradeId: '', LinkedActionId: '',
+        IsForeignIncome: 'TRUE', SecurityId: 'AAPL', Notes: '', SourceRef: 'TEST'
+    }], 'CashMovements', context.CASH_MOVEMENT_FIELDS_);
+    assert.strictEqual(result.length, 0, 'Expected no errors, got: ' + JSON.stringify(result));
+});
+
 test('multiple errors collected in single pass', function () {
     var result = context.validateRows_([{
         // Missing TradeId, invalid Side, negative Quantity
@@ -227,6 +237,100 @@ test('SPLIT with AccountFromId and BrokerId populated returns multiple errors',
     assert.strictEqual(fields[1], 'BrokerFromId');
 });
 
+test('MERGER with CashInLieuPrice requires FXRateToINR', function () {
+    var result = context.validateLotActionRules_([{
+        ActionType: 'MERGER', SecurityId: 'AAPL', SecurityToId: 'GOOG',
+        SplitNumerator: 2, SplitDenominator: 7, CashInLieuPrice: 400, FXRateToINR: ''
+    }]);
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].code, 'REQUIRED_FOR_CASH_IN_LIEU');
+});
+
+test('DEMERGER requires CostApportionPct between 0 and 100', function () {
+    var base = {
+        ActionType: 'DEMERGER', SecurityId: 'HDFCBANK', SecurityToId: 'AAPL',
+        SplitNumerator: 1, SplitDenominator: 1,
+        OwnerFromId: '', OwnerToId: '', BrokerFromId: '', BrokerToId: '',
+        AccountFromId: '', AccountToId: '', Quantity: ''
+    };
+    var missing = context.validateLotActionRules_([Object.assign({}, base, { CostApportionPct: '' })]);
+    assert.strictEqual(missing.length, 1);
+    assert.strictEqual(missing[0].code, 'REQUIRED_FOR_DEMERGER');
+    assert.strictEqual(missing[0].field, 'CostApportionPct');
+    var outOfRange = context.validateLotActionRules_([Object.assign({}, base, { CostApportionPct: 120 })]);
+    assert.strictEqual(outOfRange.length, 1);
+    assert.strictEqual(outOfRange[0].code, 'INVALID_FOR_DEMERGER');
+});
+
+test('RIGHTS_SUBSCRIPTION requires the subscribing owner and price', function () {
+    var result = context.validateLotActionRules_([{
+        ActionType: 'RIGHTS_SUBSCRIPTION', SecurityId: 'HDFCBANK-RE', SecurityToId: 'HDFCBANK',
+        SplitNumerator: '', SplitDenominator: '',
+        OwnerFromId: 'ALICE', OwnerToId: '', BrokerFromId: '', BrokerToId: '',
+        AccountFromId: '', AccountToId: '', Quantity: 30, Price: '', FXRateToINR: 1
+    }]);
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].code, 'REQUIRED_FOR_RIGHTS_SUBSCRIPTION');
+    assert.strictEqual(result[0].field, 'Price');
+});
+
+test('BUYBACK requires the tendering account and price', function () {
+    var result = context.validateLotActionRules_([{
+        ActionType: 'BUYBACK', SecurityId: 'HDFCBANK', SecurityToId: '',
+        SplitNumerator: '', SplitDenominator: '',
+        OwnerFromId: 'ALICE', OwnerToId: '', BrokerFromId: 'BROKER2', BrokerToId: '',
+        AccountFromId: '', AccountToId: '', Quantity: 100, Price: 1900, FXRateToINR: 1
+    }]);
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].code, 'REQUIRED_FOR_BUYBACK');
+    assert.strictEqual(result[0].field, 'AccountFromId');
+});
+
+test('MERGER with CashPerShare and a stock leg requires AcquirerPrice', function () {
+    var result = context.validateLotActionRules_([{
+        ActionType: 'MERGER', SecurityId: 'AAPL', SecurityToId: 'GOOG',
+        SplitNumerator: 1, SplitDenominator: 4, CashInLieuPrice: 120, CashPerShare: 30, AcquirerPrice: '', FXRateToINR: 85
+    }]);
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].code, 'REQUIRED_FOR_MERGER_CASH');
+    assert.strictEqual(result[0].field, 'AcquirerPrice');
+});
+
+test('MERGER requires a stock ratio or CashPerShare, and SecurityToId for stock', function () {
+    var neither = context.validateLotActionRules_([{
+        ActionType: 'MERGER', SecurityId: 'AAPL', SecurityToId: '', SplitNumerator: '', SplitDenominator: '', CashPerShare: ''
+    }]);
+    assert.strictEqual(neither.length, 1);
+    assert.strictEqual(neither[0].code, 'REQUIRED_FOR_MERGER');
+    assert.strictEqual(neither[0].field, 'SplitNumerator');
+    var noTarget = context.validateLotActionRules_([{
+        ActionType: 'MERGER', SecurityId: 'AAPL', SecurityToId: '', SplitNumerator: 1, SplitDenominator: 4, CashPerShare: '',
+        CashInLieuPrice: 120, FXRateToINR: 85
+    }]);
+    assert.strictEqual(noTarget.length, 1);
+    assert.strictEqual(noTarget[0].code, 'REQUIRED_FOR_MERGER');
+    assert.strictEqual(noTarget[0].field, 'SecurityToId');
+    var allCash = context.validateLotActionRules_([{
+        ActionType: 'MERGER', SecurityId: 'AAPL', SecurityToId: '', SplitNumerator: '', SplitDenominator: '', CashPerShare: 200, FXRateToINR: 85
+    }]);
+    assert.strictEqual(allCash.length, 0);
+});
+
+test('MERGER below 1:1 requires CashInLieuPrice', function () {
+    var result = context.validateLotActionRules_([{
+        ActionType: 'MERGER', SecurityId: 'AAPL', SecurityToId: 'GOOG', SplitNumerator: 1, SplitDenominator: 1000,
+        CashInLieuPrice: '', FXRateToINR: ''
+    }]);
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].code, 'REQUIRED_FOR_CASH_IN_LIEU');
+    assert.strictEqual(result[0].field, 'CashInLieuPrice');
+    var upRatio = context.validateLotActionRules_([{
+        ActionType: 'MERGER', SecurityId: 'AAPL', SecurityToId: 'GOOG', SplitNumerator: 3, SplitDenominator: 2,
+        CashInLieuPrice: '', FXRateToINR: ''
+    }]);
+    assert.strictEqual(upRatio.length, 0);
+});
+
 test('SPLIT missing SplitNumerator returns error', function () {
     var result = context.validateLotActionRules_([{
         ActionType: 'SPLIT', SecurityId: 'NFLX',
@@ -283,6 +387,37 @@ test('invalid SecurityId caught', function () {
     assert.strictEqual(result[0].field, 'SecurityId');
 });
 
+test('invalid cash movement SecurityId caught', function () {
+    var result = context.checkReferentialIntegrity_({
+        trades: [],
+        cashMovements: [{
+            CashTxnId: 'CM_TEST3', TxnDate: '2025-01-20', OwnerId: 'ALICE',
+            AccountId: 'ACCT001', Currency: 'USD', Amount: 25,
+            Category: 'DIVIDEND', LinkedTradeId: '', LinkedActionId: '',
+            IsForeignIncome: 'TRUE', SecurityId: 'NONEXISTENT', Notes: '', SourceRef: 'TEST'
+        }],
+        lotActions: []
+    });
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].code, 'FK_INVALID');
+    assert.strictEqual(result[0].table, 'CashMovements');
+});
+
+test('withholding TAX must link to a DIVIDEND cash movement', function () {
+    var result = context.checkReferentialIntegrity_({
+        trades: [],
+        cashMovements: [{
+            CashTxnId: 'CM_TEST4', TxnDate: '2025-01-20', OwnerId: 'ALICE',
+            AccountId: 'ACCT001', Currency: 'USD', Amount: -6.25,
+            Category: 'TAX', LinkedTradeId: '', LinkedActionId: '', LinkedCashTxnId: 'CM001',
+            IsForeignIncome: 'FALSE', SecurityId: 'AAPL', Notes: '', SourceRef: 'TEST'
+        }],
+        lotActions: []
+    });
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].field, 'LinkedCashTxnId');
+});
+
 test('invalid OwnerId caught', function () {
     var result = context.checkReferentialIntegrity_({
         trades: [{
@@ -377,6 +512,22 @@ test('runValidation_ with valid payload succeeds', function () {
     assert.strictEqual(result.status, 'ok', 'Expected ok, got: ' + JSON.stringify(result));
 });
 
+test('runValidation_ warns when deposits would breach the LRS limit', function () {
+    var result = context.runValidation_({
+        trades: [],
+        cashMovements: [{
+            CashTxnId: 'LRS_001', TxnDate: '2024-03-01', OwnerId: 'ALICE',
+            AccountId: 'ACCT001', Currency: 'USD', Amount: 250000,
+            Category: 'DEPOSIT', LinkedTradeId: '', LinkedActionId: '',
+            IsForeignIncome: 'FALSE', Notes: '', SourceRef: 'TEST'
+        }],
+        lotActions: []
+    });
+    assert.strictEqual(result.status, 'ok', 'Expected ok, got: ' + JSON.stringify(result));
+    assert.strictEqual(result.warnings.length, 1);
+    assert.strictEqual(result.warnings[0].code, 'LRS_LIMIT_EXCEEDED');
+});
+
 test('runValidation_ with empty payload fails', function () {
     var result = context.runValidation_({ trades: [], cashMovements: [], lotActions: [] });
     assert.strictEqual(result.status, 'error');
@@ -609,6 +760,102 @@ test('runValidation_ with bondTransactions-only payload succeeds', function () {
     assert.ok(result.generatedIds.bondTransactions.length === 1);
 });
 
+// ── Sale lot selection tests ──
+
+console.log('\nSale lot selections:');
+
+test('valid sale lot selection passes schema and lot checks', function () {
+    var selection = { SelectionId: 'LS_TEST1', TradeId: 'T003', SourceId: 'T001', Quantity: 10, Notes: '', SourceRef: 'TEST' };
+    var schemaErrors = context.validateRows_([selection], 'SaleLotSelections', context.SALE_LOT_SELECTION_FIELDS_);
+    assert.strictEqual(schemaErrors.length, 0, 'Expected no errors, got: ' + JSON.stringify(schemaErrors));
+    var result = context.checkSaleLotSelections_({ saleLotSelections: [selection] });
+    assert.strictEqual(result.length, 0, 'Expected no errors, got: ' + JSON.stringify(result));
+});
+
+test('selection of another owner\'s lots returns error', function () {
+    var result = context.checkSaleLotSelections_({
+        saleLotSelections: [{ SelectionId: 'LS_TEST2', TradeId: 'T003', SourceId: 'T004', Quantity: 10, Notes: '', SourceRef: 'TEST' }]
+    });
+    var codes = result.map(function (e) { return e.code; });
+    assert.ok(codes.indexOf('LOT_OWNER_MISMATCH') !== -1, 'Expected LOT_OWNER_MISMATCH, got: ' + codes.join(', '));
+});
+
+test('selection with no open lots from the source returns error', function () {
+    var result = context.checkSaleLotSelections_({
+        saleLotSelections: [{ SelectionId: 'LS_TEST3', TradeId: 'T003', SourceId: 'T999', Quantity: 10, Notes: '', SourceRef: 'TEST' }]
+    });
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].code, 'LOT_CLOSED');
+});
+
+test('selections are checked against the lots open before the sale date', function () {
+    var sell = {
+        TradeId: 'EARLY_SELL', TradeDate: '2022-02-01', OwnerId: 'ALICE',
+        BrokerId: 'BROKER1', AccountId: 'ACCT001', SecurityId: 'AAPL',
+        Side: 'SELL', Quantity: 10, Price: 170, Fees: 0,
+        FXRateToINR: 75, Notes: '', SourceRef: 'TEST'
+    };
+    // T002 is open in Lots_Current but was bought after this sale
+    var early = context.checkSaleLotSelections_({
+        trades: [sell],
+        saleLotSelections: [{ SelectionId: 'LS_TEST6', TradeId: 'EARLY_SELL', SourceId: 'T002', Quantity: 10, Notes: '', SourceRef: 'TEST' }]
+    });
+    assert.strictEqual(early.length, 1);
+    assert.strictEqual(early[0].code, 'LOT_CLOSED');
+    // T008 sold 200 of T007's 500 shares; 300 remain in Lots_Current, all 500 were open before the sale
+    var full = context.checkSaleLotSelections_({
+        saleLotSelections: [{ SelectionId: 'LS_TEST7', TradeId: 'T008', SourceId: 'T007', Quantity: 400, Notes: '', SourceRef: 'TEST' }]
+    });
+    assert.strictEqual(full.length, 0, 'Expected no errors, got: ' + JSON.stringify(full));
+});
+
+test('selection outside the FIFO_Scope account returns error', function () {
+    // IND_EQUITY uses ACCOUNT scope; T007's lot sits in ACCT003
+    var result = context.checkSaleLotSelections_({
+        trades: [{
+            TradeId: 'OTHER_ACCT_SELL', TradeDate: '2025-06-15', OwnerId: 'ALICE',
+            BrokerId: 'BROKER1', AccountId: 'ACCT001', SecurityId: 'HDFCBANK',
+            Side: 'SELL', Quantity: 10, Price: 1700, Fees: 0,
+            FXRateToINR: 1, Notes: '', SourceRef: 'TEST'
+        }],
+        saleLotSelections: [{ SelectionId: 'LS_TEST8', TradeId: 'OTHER_ACCT_SELL', SourceId: 'T007', Quantity: 10, Notes: '', SourceRef: 'TEST' }]
+    });
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].code, 'LOT_SCOPE_MISMATCH');
+});
+
+test('selection against a BUY trade returns error', function () {
+    var result = context.checkSaleLotSelections_({
+        saleLotSelections: [{ SelectionId: 'LS_TEST4', TradeId: 'T001', SourceId: 'T001', Quantity: 10, Notes: '', SourceRef: 'TEST' }]
+    });
+    assert.strictEqual(result.length, 1);
+    assert.strictEqual(result[0].code, 'TRADE_NOT_SELL');
+});
+
+test('selection for a SELL in the same payload is checked against its owner', function () {
+    var result = context.checkSaleLotSelections_({
+        trades: [{
+            TradeId: 'NEW_SELL', TradeDate: '2025-06-15', OwnerId: 'BOB',
+            BrokerId: 'BROKER2', AccountId: 'ACCT002', SecurityId: 'GOOG',
+            Side: 'SELL', Quantity: 10, Price: 180, Fees: 0,
+            FXRateToINR: 85, Notes: '', SourceRef: 'TEST'
+        }],
+        saleLotSelections: [{ SelectionId: 'LS_TEST5', TradeId: 'NEW_SELL', SourceId: 'T005', Quantity: 10, Notes: '', SourceRef: 'TEST' }]
+    });
+    assert.strictEqual(result.length, 0, 'Expected no errors, got: ' + JSON.stringify(result));
+});
+
+// ── Report endpoint tests ──
+
+console.log('\nReport endpoints:');
+
+test('rbi action lists at-risk buckets as of a date and rejects bad dates', function () {
+    var result = context.handleRbi_('2024-08-01');
+    assert.strictEqual(result.status, 'ok');
+    assert.ok(result.data.some(function (b) { return b.OwnerId === 'ALICE' && b.Status === 'BREACH'; }));
+    assert.strictEqual(context.handleRbi_('01-08-2024').errors[0].code, 'INVALID_DATE');
+});
+
 // ── Summary ──
 
 console.log('\n=== Results: ' + passed + ' passed, ' + failed + ' failed ===\n');
@@ -0,0 +1,1075 @@
+/**
+ * Tests for the ledger engine in Code.js.
+ *
+ * Loads Helpers.js + Code.js in a VM sandbox (like test-local.js) and runs the
+ * rebuild and report functions over tests/data with extra rows added in memory.
+ * Whole-ledger outputs are covered by tests/verify-fixture-outputs.js.
+ *
+ * Usage: node tests/test-ledger-engine.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const assert = require('assert');
+
+const ROOT = path.join(__dirname, '..');
+const DATA_FOLDER = path.join(__dirname, 'data');
+
+// Set up VM context (same pattern as test-local.js)
+const context = {
+    console: console,
+    require: require,
+    __dirname: ROOT,
+    Date: Date, Object: Object, Array: Array, Number: Number,
+    String: String, Math: Math, JSON: JSON, Error: Error, isNaN: isNaN
+};
+
+vm.createContext(context);
+
+// Load Helpers.js, enable local mode
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'Helpers.js'), 'utf8'), context);
+context.IS_LOCAL = true;
+context.DATA_FOLDER = DATA_FOLDER;
+
+// Load Code.js
+vm.runInContext(fs.readFileSync(path.join(ROOT, 'Code.js'), 'utf8'), context);
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log('  PASS: ' + name);
+        passed++;
+    } catch (err) {
+        console.error('  FAIL: ' + name);
+        console.error('    ' + err.message);
+        failed++;
+    }
+}
+
+/**
+ * Run fn with readTable/writeTable swapped for in-memory versions.
+ * Tables named in `extraRows` get those rows appended to the fixture rows;
+ * tables written during fn are read back from memory.
+ */
+function withLedgerTables(extraRows, fn) {
+    var realRead = context.readTable;
+    var realWrite = context.writeTable;
+    var written = {};
+    context.readTable = function (name) {
+        return written[name] || realRead(name).concat(extraRows[name] || []);
+    };
+    context.writeTable = function (name, rows) { written[name] = rows; };
+    try {
+        fn(written);
+    } finally {
+        context.readTable = realRead;
+        context.writeTable = realWrite;
+        context.STRICT_MODE = false;
+    }
+}
+
+var OVERSELL_TRADE = {
+    TradeId: 'OVERSELL_1', TradeDate: '2025-01-10', OwnerId: 'ALICE',
+    BrokerId: 'BROKER2', AccountId: 'ACCT003', SecurityId: 'HDFCBANK',
+    Side: 'SELL', Quantity: 350, Price: 150, Fees: 0,
+    FXRateToINR: 1, Notes: '', SourceRef: 'TEST'
+};
+
+console.log('\n=== Ledger Engine Tests ===\n');
+
+// ── Lot rebuild tests ──
+
+console.log('\nLot rebuild and ledger exceptions:');
+
+test('oversell is recorded in Ledger_Exceptions', function () {
+    withLedgerTables({ Trades: [OVERSELL_TRADE] }, function (written) {
+        context.rebuildLots();
+        var ex = written.Ledger_Exceptions;
+        assert.strictEqual(ex.length, 1, 'Expected one exception, got: ' + JSON.stringify(ex));
+        assert.strictEqual(ex[0].ExceptionType, 'OVERSELL');
+        assert.strictEqual(ex[0].EventId, 'OVERSELL_1');
+        assert.strictEqual(ex[0].RequestedQty, 350);
+        assert.strictEqual(ex[0].AvailableQty, 300);
+    });
+});
+
+test('unknown SecurityId is recorded instead of crashing', function () {
+    var trade = Object.assign({}, OVERSELL_TRADE, { TradeId: 'UNKNOWN_1', SecurityId: 'NOPE', Side: 'BUY', Quantity: 5 });
+    withLedgerTables({ Trades: [trade] }, function (written) {
+        context.rebuildLots();
+        var ex = written.Ledger_Exceptions;
+        assert.strictEqual(ex.length, 1);
+        assert.strictEqual(ex[0].ExceptionType, 'UNKNOWN_SECURITY');
+        assert.strictEqual(ex[0].SecurityId, 'NOPE');
+    });
+});
+
+test('ACCOUNT FIFO scope keeps a sale inside its demat account', function () {
+    var olderLotElsewhere = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'SCOPE_BUY', TradeDate: '2023-01-02', AccountId: 'ACCT004',
+        Side: 'BUY', Quantity: 100, Price: 90
+    });
+    withLedgerTables({ Trades: [olderLotElsewhere] }, function (written) {
+        context.rebuildLots();
+        var used = written.LotConsumes.filter(function (c) { return c.TradeId === 'T008'; });
+        assert.strictEqual(used.length, 1, 'Expected T008 to consume one lot, got: ' + JSON.stringify(used));
+        assert.strictEqual(used[0].BuyDate, '2023-04-01');
+        assert.strictEqual(written.Ledger_Exceptions.length, 0);
+    });
+});
+
+test('sale lot selections follow their source BUY when a back-dated trade renumbers lots', function () {
+    var backDated = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'BACKDATED_BUY', TradeDate: '2021-12-01', BrokerId: 'BROKER1', AccountId: 'ACCT001',
+        SecurityId: 'AAPL', Side: 'BUY', Quantity: 5, Price: 160, FXRateToINR: 75
+    });
+    withLedgerTables({ Trades: [backDated] }, function (written) {
+        context.rebuildLots();
+        // LS001 sells 20 from T002 ahead of FIFO, whatever LotId T002's lot now has
+        var t002 = written.Lots_Current.filter(function (l) { return l.SourceId === 'T002'; })[0];
+        assert.notStrictEqual(t002.LotId, 'LOT_4');
+        assert.strictEqual(t002.OpenQty, 30);
+        assert.strictEqual(written.Ledger_Exceptions.length, 0);
+    });
+});
+
+test('strict mode fails the rebuild without writing derived tables', function () {
+    withLedgerTables({ Trades: [OVERSELL_TRADE] }, function (written) {
+        context.STRICT_MODE = true;
+        assert.throws(function () { context.rebuildLots(); }, /ledger exception/);
+        assert.strictEqual(written.Lots_Current, undefined);
+    });
+});
+
+// ── Realized gains and tax tests ──
+
+console.log('\nRealized gains and tax:');
+
+test('pre-2018 listed equity lot uses grandfathered cost', function () {
+    var preCutoffBuy = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'GF_BUY', TradeDate: '2017-06-01', Side: 'BUY', Quantity: 200, Price: 60
+    });
+    withLedgerTables({ Trades: [preCutoffBuy] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        var gain = written.Gains_Realized.filter(function (g) { return g.BuyDate === '2017-06-01'; })[0];
+        // max(cost 12000, min(FMV 95 x 200, sale value 24000))
+        assert.strictEqual(gain.GrandfatheredCostINR, 19000);
+        assert.strictEqual(gain.CostINR, 12000);
+        assert.strictEqual(gain.GainINR, 23970 - 19000);
+        var later = written.Gains_Realized.filter(function (g) { return g.BuyDate !== '2017-06-01'; });
+        later.forEach(function (g) { assert.strictEqual(g.GrandfatheredCostINR, ''); });
+    });
+});
+
+test('indexed cost uses CII of buy and sell FY when indexation is allowed', function () {
+    var debtFund = {
+        SecurityId: 'DEBTFUND', Ticker: 'DEBTFUND', AssetId: 'DEBTFUND', Exchange: '', Country: 'IND',
+        AssetClass: 'INDEXED_DEBT', TradingCurrency: 'INR', Name: 'Test Debt Fund'
+    };
+    var indexedDebt = {
+        AssetClass: 'INDEXED_DEBT', HoldingPeriod_ST_Days: 0, HoldingPeriod_LT_Days: 1095,
+        STCG_Tax_Rate: 'SLAB', LTCG_Tax_Rate: '20%', LTCG_Exemption_INR: 0,
+        Indexation_Allowed: 'TRUE', Tax_Regime_Notes: ''
+    };
+    var buy = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'IDX_BUY', TradeDate: '2015-06-01', SecurityId: 'DEBTFUND', Side: 'BUY', Quantity: 1000, Price: 10
+    });
+    var sell = Object.assign({}, buy, { TradeId: 'IDX_SELL', TradeDate: '2022-06-01', Side: 'SELL', Price: 20 });
+    withLedgerTables({ Securities: [debtFund], Config: [indexedDebt], Trades: [buy, sell] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        context.buildTaxSummaryByFY();
+        var gain = written.Gains_Realized.filter(function (g) { return g.SecurityId === 'DEBTFUND'; })[0];
+        // 10000 x CII 2022-23 (331) / CII 2015-16 (254)
+        assert.strictEqual(Math.round(gain.IndexedCostINR), 13031);
+        assert.strictEqual(Math.round(gain.IndexedGainINR), 20000 - 13031);
+        assert.strictEqual(gain.GainINR, 10000);
+        var summary = written.Tax_Summary_FY.filter(function (r) { return r.AssetClass === 'INDEXED_DEBT'; })[0];
+        assert.strictEqual(Math.round(summary.GrossGainINR), 6969);
+        var equity = written.Gains_Realized.filter(function (g) { return g.SecurityId !== 'DEBTFUND'; });
+        equity.forEach(function (g) { assert.strictEqual(g.IndexedCostINR, ''); });
+    });
+});
+
+test('rule in force on the sell date sets the rate; FY-end exemption goes to the highest rate first', function () {
+    var postBudgetSell = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'BUDGET_SELL', TradeDate: '2024-09-02', Quantity: 100, Price: 1400
+    });
+    withLedgerTables({ Trades: [postBudgetSell] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        context.buildTaxSummaryByFY();
+        var rows = written.Tax_Summary_FY.filter(function (r) { return r.AssetClass === 'IND_EQUITY'; });
+        var byRate = {};
+        rows.forEach(function (r) { byRate[r.TaxRate] = r; });
+        assert.strictEqual(rows.length, 2, 'Expected one bucket per rate, got: ' + JSON.stringify(rows));
+        // 140000 - (10000 cost + 10 buy fees)
+        assert.strictEqual(byRate['12.5%'].GrossGainINR, 129990);
+        assert.strictEqual(byRate['12.5%'].ExemptINR, 125000);
+        assert.strictEqual(byRate['10%'].ExemptINR, 0);
+        assert.strictEqual(byRate['10%'].TaxableINR, byRate['10%'].GrossGainINR);
+    });
+});
+
+/** Minimal Gains_Realized row for tax summary tests. */
+function gainRow(owner, fy, assetClass, gainType, rate, amount) {
+    return {
+        OwnerId: owner, SecurityId: 'X', LotId: 'X', BuyDate: '', SellDate: '', Quantity: 1,
+        CostINR: 0, GrandfatheredCostINR: '', ProceedsINR: 0, BuyFeesINR: 0, SaleFeesINR: 0,
+        GainINR: amount, IndexedCostINR: '', IndexedGainINR: '', HoldingDays: 0,
+        GainType: gainType, TaxRate: rate, AssetClass: assetClass, FinancialYear: fy
+    };
+}
+
+test('losses are set off within the FY and carried forward for 8 years', function () {
+    function gain(fy, assetClass, gainType, rate, amount) {
+        return gainRow('CAROL', fy, assetClass, gainType, rate, amount);
+    }
+    var rows = [
+        gain('2010-2011', 'FOREIGN_EQUITY', 'STCG', 'SLAB', -1000),
+        gain('2022-2023', 'FOREIGN_EQUITY', 'STCG', 'SLAB', 10000),
+        gain('2022-2023', 'IND_EQUITY', 'STCG', '15%', -5000),
+        gain('2022-2023', 'IND_EQUITY', 'LTCG', '10%', -50000),
+        gain('2024-2025', 'IND_EQUITY', 'LTCG', '12.5%', 200000)
+    ];
+    withLedgerTables({ Gains_Realized: rows }, function (written) {
+        context.buildTaxSummaryByFY();
+        var summary = written.Tax_Summary_FY.filter(function (r) { return r.OwnerId === 'CAROL'; });
+        var fy23 = summary.filter(function (r) { return r.FinancialYear === '2022-2023' && r.GrossGainINR > 0; })[0];
+        // 2010-11 STCL lapsed after 2018-19, so only the current-year STCL is absorbed
+        assert.strictEqual(fy23.LossSetOffINR, 5000);
+        assert.strictEqual(fy23.TaxableINR, 5000);
+        var fy25 = summary.filter(function (r) { return r.FinancialYear === '2024-2025'; })[0];
+        assert.strictEqual(fy25.LossSetOffINR, 50000);
+        assert.strictEqual(fy25.ExemptINR, 125000);
+        assert.strictEqual(fy25.TaxableINR, 25000);
+
+        var carry = written.Loss_CarryForward.filter(function (c) { return c.OwnerId === 'CAROL'; });
+        var old = carry.filter(function (c) { return c.LossFY === '2010-2011'; })[0];
+        assert.strictEqual(old.ExpiredINR, 1000);
+        assert.strictEqual(old.BalanceINR, 0);
+        var ltcl = carry.filter(function (c) { return c.LossType === 'LTCL'; })[0];
+        assert.strictEqual(ltcl.SetOffINR, 50000);
+        assert.strictEqual(ltcl.BalanceINR, 0);
+        assert.strictEqual(ltcl.ExpiresAfterFY, '2030-2031');
+    });
+});
+
+test('loss set-off ranks SLAB gains at the owner slab rate', function () {
+    var profile = { OwnerId: 'FRANK', FinancialYear: '', Regime: 'NEW', SlabRate: '5%', OtherIncomeINR: 0, Notes: '' };
+    var rows = [
+        gainRow('FRANK', '2024-2025', 'FOREIGN_EQUITY', 'STCG', 'SLAB', 10000),
+        gainRow('FRANK', '2024-2025', 'FOREIGN_EQUITY', 'LTCG', '12.5%', 10000),
+        gainRow('FRANK', '2024-2025', 'IND_EQUITY', 'STCG', '20%', -10000)
+    ];
+    withLedgerTables({ Owner_Tax_Profile: [profile], Gains_Realized: rows }, function (written) {
+        context.buildTaxSummaryByFY();
+        var byRate = {};
+        written.Tax_Summary_FY
+            .filter(function (r) { return r.OwnerId === 'FRANK' && r.GrossGainINR > 0; })
+            .forEach(function (r) { byRate[r.TaxRate] = r; });
+        // At a 5% slab the 12.5% LTCG absorbs the loss first
+        assert.strictEqual(byRate['12.5%'].LossSetOffINR, 10000);
+        assert.strictEqual(byRate.SLAB.LossSetOffINR, 0);
+    });
+});
+
+test('LTCG exemption is one pool per owner per FY across eligible asset classes', function () {
+    var equityFund = {
+        AssetClass: 'EQUITY_MF', EffectiveFrom: '', EffectiveTo: '', HoldingPeriod_ST_Days: 0, HoldingPeriod_LT_Days: 365,
+        STCG_Tax_Rate: '20%', LTCG_Tax_Rate: '12.5%', LTCG_Exemption_INR: 125000, Indexation_Allowed: false, Tax_Regime_Notes: ''
+    };
+    var rows = [
+        gainRow('DAVE', '2024-2025', 'IND_EQUITY', 'LTCG', '10%', 40000),
+        gainRow('DAVE', '2024-2025', 'IND_EQUITY', 'LTCG', '12.5%', 100000),
+        gainRow('DAVE', '2024-2025', 'EQUITY_MF', 'LTCG', '12.5%', 50000),
+        gainRow('DAVE', '2024-2025', 'FOREIGN_EQUITY', 'LTCG', '12.5%', 30000)
+    ];
+    withLedgerTables({ Config: [equityFund], Gains_Realized: rows }, function (written) {
+        context.buildTaxSummaryByFY();
+        var byKey = {};
+        written.Tax_Summary_FY
+            .filter(function (r) { return r.OwnerId === 'DAVE'; })
+            .forEach(function (r) { byKey[r.AssetClass + ' ' + r.TaxRate] = r; });
+        assert.strictEqual(byKey['IND_EQUITY 12.5%'].ExemptINR + byKey['EQUITY_MF 12.5%'].ExemptINR, 125000);
+        assert.strictEqual(byKey['IND_EQUITY 10%'].ExemptINR, 0);
+        assert.strictEqual(byKey['FOREIGN_EQUITY 12.5%'].ExemptINR, 0);
+    });
+});
+
+test('LTCG exemption ranks SLAB gains at the owner slab rate', function () {
+    var slabFund = {
+        AssetClass: 'SLAB_FUND', EffectiveFrom: '', EffectiveTo: '', HoldingPeriod_ST_Days: 0, HoldingPeriod_LT_Days: 365,
+        STCG_Tax_Rate: 'SLAB', LTCG_Tax_Rate: 'SLAB', LTCG_Exemption_INR: 125000, Indexation_Allowed: false, Tax_Regime_Notes: ''
+    };
+    var profile = { OwnerId: 'GRACE', FinancialYear: '', Regime: 'NEW', SlabRate: '5%', OtherIncomeINR: 0, Notes: '' };
+    var rows = [
+        gainRow('GRACE', '2024-2025', 'SLAB_FUND', 'LTCG', 'SLAB', 100000),
+        gainRow('GRACE', '2024-2025', 'IND_EQUITY', 'LTCG', '12.5%', 100000)
+    ];
+    withLedgerTables({ Config: [slabFund], Owner_Tax_Profile: [profile], Gains_Realized: rows }, function (written) {
+        context.buildTaxSummaryByFY();
+        var byRate = {};
+        written.Tax_Summary_FY
+            .filter(function (r) { return r.OwnerId === 'GRACE'; })
+            .forEach(function (r) { byRate[r.TaxRate] = r; });
+        assert.strictEqual(byRate['12.5%'].ExemptINR, 100000);
+        assert.strictEqual(byRate.SLAB.ExemptINR, 25000);
+    });
+});
+
+test('tax liability uses the owner slab rate and caps surcharge on special-rate gains', function () {
+    var profile = { OwnerId: 'EVE', FinancialYear: '', Regime: 'OLD', SlabRate: '30%', OtherIncomeINR: 30000000, Notes: '' };
+    var summary = [
+        { OwnerId: 'EVE', FinancialYear: '2024-2025', AssetClass: 'DEBT_FUND', GainType: 'STCG', GrossGainINR: 100000,
+          LossSetOffINR: 0, ExemptINR: 0, TaxableINR: 100000, TaxRate: 'SLAB' },
+        { OwnerId: 'EVE', FinancialYear: '2024-2025', AssetClass: 'FOREIGN_EQUITY', GainType: 'LTCG', GrossGainINR: 200000,
+          LossSetOffINR: 0, ExemptINR: 0, TaxableINR: 200000, TaxRate: '12.5%' }
+    ];
+    withLedgerTables({ Owner_Tax_Profile: [profile], Tax_Summary_FY: summary }, function (written) {
+        context.buildTaxLiabilityByFY();
+        var row = written.Tax_Liability_FY.filter(function (r) { return r.OwnerId === 'EVE'; })[0];
+        assert.strictEqual(row.TaxINR, 55000);
+        assert.strictEqual(row.SurchargeRate, 0.25);
+        // 25% on slab tax 30000, capped 15% on special-rate tax 25000
+        assert.strictEqual(row.SurchargeINR, 11250);
+        assert.strictEqual(row.CessINR, 2650);
+        assert.strictEqual(row.TotalTaxINR, 68900);
+    });
+});
+
+test('advance tax schedule taxes gains realized by each due date and charges 234C on the shortfall', function () {
+    var may = gainRow('FRANK', '2024-2025', 'FOREIGN_EQUITY', 'LTCG', '12.5%', 200000);
+    may.SellDate = '2024-05-10';
+    var feb = gainRow('FRANK', '2024-2025', 'FOREIGN_EQUITY', 'LTCG', '12.5%', 100000);
+    feb.SellDate = '2025-02-10';
+    var paid = { OwnerId: 'FRANK', FinancialYear: '2024-2025', PaidDate: '2024-06-10', AmountINR: 5000, Notes: '' };
+    withLedgerTables({ Gains_Realized: [may, feb], Advance_Tax_Paid: [paid] }, function (written) {
+        context.buildAdvanceTaxSchedule();
+        var rows = written.Advance_Tax_Schedule.filter(function (r) { return r.OwnerId === 'FRANK'; });
+        assert.strictEqual(rows.map(function (r) { return r.DueDate; }).join(','),
+            '2024-06-15,2024-09-15,2024-12-15,2025-03-15');
+        // 12.5% of 200000 plus 4% cess; paid 5000 covers 15% but not 36%
+        assert.strictEqual(rows[0].EstimatedTaxINR, 26000);
+        assert.strictEqual(rows[0].ShortfallINR, 0);
+        assert.strictEqual(rows[0].Interest234CINR, 0);
+        assert.strictEqual(rows[1].ShortfallINR, 6700);
+        assert.strictEqual(rows[1].Interest234CINR, 201);
+        assert.strictEqual(rows[3].CumulativeGainsINR, 300000);
+        assert.strictEqual(rows[3].EstimatedTaxINR, 39000);
+        assert.strictEqual(rows[3].Interest234CINR, 340);
+    });
+});
+
+test('SBI_TTBR_ON_DATE converts each leg at the TT buying rate on its date, not a stale one', function () {
+    var etf = {
+        SecurityId: 'VTI', Ticker: 'VTI', AssetId: 'VTI', Exchange: 'NYSE', Country: 'USA',
+        AssetClass: 'US_ETF', TradingCurrency: 'USD', Name: 'Test ETF'
+    };
+    var rule = {
+        AssetClass: 'US_ETF', EffectiveFrom: '', EffectiveTo: '', HoldingPeriod_ST_Days: 0, HoldingPeriod_LT_Days: 730,
+        STCG_Tax_Rate: 'SLAB', LTCG_Tax_Rate: '12.5%', LTCG_Exemption_INR: 0, Indexation_Allowed: false,
+        FIFO_Scope: 'OWNER', FX_Conversion_Policy: 'SBI_TTBR_ON_DATE', Tax_Regime_Notes: ''
+    };
+    var buy = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'FX_BUY', TradeDate: '2022-02-10', SecurityId: 'VTI', Side: 'BUY', Quantity: 10, Price: 100, FXRateToINR: 80
+    });
+    var sell = Object.assign({}, buy, { TradeId: 'FX_SELL', TradeDate: '2022-05-31', Side: 'SELL', Price: 120 });
+    withLedgerTables({ Securities: [etf], Config: [rule], Trades: [buy, sell] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        var gain = written.Gains_Realized.filter(function (g) { return g.SecurityId === 'VTI'; })[0];
+        assert.strictEqual(gain.FXPolicy, 'SBI_TTBR_ON_DATE');
+        assert.strictEqual(gain.ProceedsFXDate, '2022-05-31');
+        assert.strictEqual(Math.round(gain.ProceedsINR), Math.round(1200 * 77.18));
+        // The last rate before the buy (2022-01-31) is 8 business days old: trade rate instead, logged
+        assert.strictEqual(gain.CostFXDate, '');
+        assert.strictEqual(gain.CostFXRate, 80);
+        assert.strictEqual(Math.round(gain.CostINR), 80000);
+        var stale = written.Ledger_Exceptions.filter(function (x) { return x.ExceptionType === 'MISSING_FX_RATE'; });
+        assert.strictEqual(stale.map(function (x) { return x.EventId + ' ' + x.EventDate; }).join(', '), 'FX_SELL 2022-02-10');
+    });
+});
+
+test('missing TT rates and CII fall back and are logged in Ledger_Exceptions', function () {
+    var sgx = {
+        SecurityId: 'SGXETF', Ticker: 'SGXETF', AssetId: 'SGXETF', Exchange: 'SGX', Country: 'SGP',
+        AssetClass: 'SG_ETF', TradingCurrency: 'SGD', Name: 'Test SGD ETF'
+    };
+    var debtFund = {
+        SecurityId: 'DEBTFUND', Ticker: 'DEBTFUND', AssetId: 'DEBTFUND', Exchange: '', Country: 'IND',
+        AssetClass: 'INDEXED_DEBT', TradingCurrency: 'INR', Name: 'Test Debt Fund'
+    };
+    var rules = [{
+        AssetClass: 'SG_ETF', EffectiveFrom: '', EffectiveTo: '', HoldingPeriod_ST_Days: 0, HoldingPeriod_LT_Days: 730,
+        STCG_Tax_Rate: 'SLAB', LTCG_Tax_Rate: '12.5%', LTCG_Exemption_INR: 0, Indexation_Allowed: false,
+        FIFO_Scope: 'OWNER', FX_Conversion_Policy: 'RULE_115', Tax_Regime_Notes: ''
+    }, {
+        AssetClass: 'INDEXED_DEBT', HoldingPeriod_ST_Days: 0, HoldingPeriod_LT_Days: 1095,
+        STCG_Tax_Rate: 'SLAB', LTCG_Tax_Rate: '20%', LTCG_Exemption_INR: 0,
+        Indexation_Allowed: 'TRUE', Tax_Regime_Notes: ''
+    }];
+    var fxBuy = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'SGD_BUY', TradeDate: '2023-03-10', SecurityId: 'SGXETF', Side: 'BUY', Quantity: 10, Price: 100, FXRateToINR: 61
+    });
+    var fxSell = Object.assign({}, fxBuy, { TradeId: 'SGD_SELL', TradeDate: '2024-03-12', Side: 'SELL', FXRateToINR: 62 });
+    // FY 2026-27 is past the last CII row
+    var debtBuy = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'IDX_BUY', TradeDate: '2015-06-01', SecurityId: 'DEBTFUND', Side: 'BUY', Quantity: 1000, Price: 10
+    });
+    var debtSell = Object.assign({}, debtBuy, { TradeId: 'IDX_SELL', TradeDate: '2026-06-01', Side: 'SELL', Price: 20 });
+    withLedgerTables({ Securities: [sgx, debtFund], Config: rules, Trades: [fxBuy, fxSell, debtBuy, debtSell] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        var fxGain = written.Gains_Realized.filter(function (g) { return g.SecurityId === 'SGXETF'; })[0];
+        assert.strictEqual(fxGain.CostFXRate, 61);
+        assert.strictEqual(fxGain.ProceedsFXRate, 62);
+        var debtGain = written.Gains_Realized.filter(function (g) { return g.SecurityId === 'DEBTFUND'; })[0];
+        assert.strictEqual(debtGain.IndexedCostINR, '');
+        var logged = written.Ledger_Exceptions.filter(function (x) { return x.Source === 'computeRealizedGains'; });
+        assert.strictEqual(logged.map(function (x) { return x.ExceptionType + ' ' + x.EventId + ' ' + x.EventDate; }).join(', '),
+            'MISSING_FX_RATE SGD_SELL 2023-03-10, MISSING_FX_RATE SGD_SELL 2024-03-12, MISSING_CII IDX_SELL 2026-06-01');
+    });
+});
+
+test('gains on a lot gifted by a spouse are taxed to the donor', function () {
+    function owner(id, spouse) {
+        return { EntityId: id, EntityType: 'OWNER', Name: id, OwnerId: '', SpouseId: spouse, BrokerId: '', Country: '',
+                 Currency: '', AccountKind: '', IsForeignAccount: '', FEMACategoryNotes: '' };
+    }
+    var buy = Object.assign({}, OVERSELL_TRADE, { TradeId: 'CLUB_BUY', TradeDate: '2023-01-02', OwnerId: 'HUSB', Side: 'BUY', Quantity: 10, Price: 100 });
+    var sell = Object.assign({}, OVERSELL_TRADE, { TradeId: 'CLUB_SELL', TradeDate: '2024-06-03', OwnerId: 'WIFE', Quantity: 10, Price: 150 });
+    var gift = {
+        ActionId: 'CLUB_GIFT', ActionDate: '2023-06-01', ActionType: 'GIFT', OwnerFromId: 'HUSB', OwnerToId: 'WIFE',
+        BrokerFromId: 'BROKER2', BrokerToId: 'BROKER2', AccountFromId: 'ACCT003', AccountToId: 'ACCT003',
+        SecurityId: 'HDFCBANK', SecurityToId: '', SplitNumerator: '', SplitDenominator: '', Quantity: 10, Notes: '', SourceRef: 'TEST'
+    };
+    withLedgerTables({ Entities: [owner('HUSB', 'WIFE'), owner('WIFE', '')], Trades: [buy, sell], LotActions: [gift] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        context.buildTaxSummaryByFY();
+        var gain = written.Gains_Realized.filter(function (g) { return g.OwnerId === 'WIFE'; })[0];
+        assert.strictEqual(gain.TaxableOwnerId, 'HUSB');
+        var summary = written.Tax_Summary_FY.filter(function (r) { return r.OwnerId === 'HUSB'; });
+        assert.strictEqual(summary.length, 1);
+        assert.strictEqual(summary[0].GrossGainINR, 500);
+        assert.ok(!written.Tax_Summary_FY.some(function (r) { return r.OwnerId === 'WIFE'; }));
+    });
+});
+
+test('harvest candidates price loss lots and the FIFO path to them', function () {
+    function lot(id, buyDate, qty, costINR) {
+        return {
+            LotId: id, OwnerId: 'ALICE', SecurityId: 'HDFCBANK', AssetId: 'HDFCBANK', BuyDate: buyDate, OpenQty: qty,
+            CostNative: costINR, CostPriceNative: costINR / qty, CostINR: costINR, FeesNative: 0, FeesINR: 0,
+            BuyFXRate: 1, BrokerId: 'BROKER2', AccountId: 'ACCT003', GiftedById: ''
+        };
+    }
+    var stcg = gainRow('ALICE', '2024-2025', 'IND_EQUITY', 'STCG', '20%', 10000);
+    stcg.SellDate = '2024-11-01';
+    withLedgerTables({
+        Lots_Current: [lot('OLD_WINNER', '2022-04-01', 100, 5000), lot('NEW_LOSER', '2025-01-10', 100, 12000)],
+        Gains_Realized: [stcg]
+    }, function (written) {
+        context.buildHarvestCandidates('2025-03-15');
+        var byLot = {};
+        written.Harvest_Candidates.forEach(function (r) { byLot[r.LotId] = r; });
+        assert.ok(!byLot.OLD_WINNER, 'Profitable lots are not candidates');
+
+        // STCL 3000 against STCG at 20%, ALICE's 10% surcharge and 4% cess
+        var loser = byLot.NEW_LOSER;
+        assert.strictEqual(loser.GainINR, -3000);
+        assert.strictEqual(loser.GainType, 'STCG');
+        assert.strictEqual(Math.round(loser.TaxSavedINR * 100), Math.round(3000 * 0.2 * 1.1 * 1.04 * 100));
+        // FIFO sells OLD_WINNER (+4000) and LOT_6 (-3030) first; the net LTCG stays under the exemption
+        assert.strictEqual(loser.FifoLotsAhead, 2);
+        assert.strictEqual(loser.FifoNetGainINR, 4000 - 3030 - 3000);
+        assert.strictEqual(Math.round(loser.FifoTaxSavedINR), Math.round(loser.TaxSavedINR));
+
+        // LOT_6's LTCL cannot reduce STCG, and the LTCG it offsets is already exempt
+        assert.strictEqual(byLot.LOT_6.TaxSavedINR, 0);
+        assert.strictEqual(byLot.LOT_6.FifoLotsAhead, 1);
+    });
+});
+
+test('harvest candidates order Date BuyDates and log lots without a price', function () {
+    function lot(id, securityId, buyDate, costINR) {
+        return {
+            LotId: id, OwnerId: 'ALICE', SecurityId: securityId, AssetId: securityId, BuyDate: buyDate, OpenQty: 100,
+            CostNative: costINR, CostPriceNative: costINR / 100, CostINR: costINR, FeesNative: 0, FeesINR: 0,
+            BuyFXRate: 1, BrokerId: 'BROKER2', AccountId: 'ACCT003', GiftedById: ''
+        };
+    }
+    // Sheets returns BuyDate as a Date: equal dates are different objects
+    withLedgerTables({
+        Lots_Current: [
+            lot('TIE_A', 'HDFCBANK', new Date('2025-01-10'), 12000),
+            lot('TIE_B', 'HDFCBANK', new Date('2025-01-10'), 12000),
+            lot('UNPRICED', 'INFY', new Date('2024-06-03'), 15000)
+        ]
+    }, function (written) {
+        context.buildHarvestCandidates('2025-03-15');
+        var byLot = {};
+        written.Harvest_Candidates.forEach(function (r) { byLot[r.LotId] = r; });
+        // LOT_6 (2023-04-01, a string) and TIE_A are ahead of TIE_B
+        assert.strictEqual(byLot.TIE_A.FifoLotsAhead, 1);
+        assert.strictEqual(byLot.TIE_B.FifoLotsAhead, 2);
+        assert.ok(!byLot.UNPRICED);
+        var logged = written.Ledger_Exceptions.filter(function (x) { return x.Source === 'buildHarvestCandidates'; });
+        assert.strictEqual(logged.length, 1);
+        assert.strictEqual(logged[0].ExceptionType, 'MISSING_PRICE');
+        assert.strictEqual(logged[0].EventId, 'UNPRICED');
+    });
+});
+
+test('Schedule CG export: grandfathered 112A scrip row and quarter breakup', function () {
+    var preCutoffBuy = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'GF_BUY', TradeDate: '2017-06-01', Side: 'BUY', Quantity: 200, Price: 60
+    });
+    var realLocalWrite = context.writeTableLocal_;
+    var realCsvWrite = context.writeCsvLocal_;
+    var files = {};
+    context.writeTableLocal_ = function (name, data) { files[name] = data; };
+    context.writeCsvLocal_ = function (name, rows) { files[name + '.csv'] = rows; };
+    try {
+        withLedgerTables({ Trades: [preCutoffBuy] }, function (written) {
+            context.rebuildLots();
+            context.computeRealizedGains();
+            var doc = context.buildScheduleCG('ALICE', '2024-2025');
+            assert.strictEqual(doc.AssessmentYear, '2025-26');
+            var scrip = doc.Schedule112A.Schedule112ADtls[0];
+            assert.strictEqual(doc.Schedule112A.Schedule112ADtls.length, 1);
+            assert.strictEqual(scrip.ShareOnOrBefore, 'BE');
+            assert.strictEqual(scrip.ISINCode, 'INE040A01034');
+            assert.strictEqual(scrip.TotSaleValue, 24000);
+            assert.strictEqual(scrip.AcquisitionCost, 12000);
+            assert.strictEqual(scrip.LTCAAcquiredBf, 19000);
+            assert.strictEqual(scrip.CostAcqWithoutIndx, 19000);
+            assert.strictEqual(scrip.Balance, 4970);
+            var cg = doc.ScheduleCG.filter(function (r) { return r.Section === '112A'; })[0];
+            assert.strictEqual(cg.AccruOrRecOfCG.Upto15Of6, 4970);
+            assert.strictEqual(written.Schedule_112A.length, 1);
+            assert.ok(files['Schedule_CG_ALICE_2024-2025']);
+            assert.ok(files['Schedule_112A_ALICE_2024-2025.csv']);
+        });
+    } finally {
+        context.writeTableLocal_ = realLocalWrite;
+        context.writeCsvLocal_ = realCsvWrite;
+    }
+});
+
+// ── Foreign assets and remittance tests ──
+
+console.log('\nForeign assets and remittances:');
+
+test('Schedule FA covers foreign lots held during the calendar year', function () {
+    var rate = { Date: '2024-01-19', Currency: 'USD', TTBuyRate: 82.96, Source: 'TEST' };
+    withLedgerTables({ FX_Rates: [rate] }, function (written) {
+        context.buildScheduleFA(2024);
+        var rows = written.Schedule_FA;
+        var byLot = {};
+        rows.forEach(function (r) { byLot[r.LotId] = r; });
+        assert.ok(!byLot.LOT_6, 'Indian lot in a domestic account should be excluded');
+        assert.strictEqual(rows.length, 5);
+        // CM002: USD 250 on 2024-01-20 at the 2024-01-19 TTBR, split 90:30 across ALICE's AAPL lots
+        assert.strictEqual(Math.round(byLot.LOT_3.GrossDividendsINR), Math.round(250 * 82.96 * 0.75));
+        assert.strictEqual(Math.round(byLot.LOT_4.GrossDividendsINR), Math.round(250 * 82.96 * 0.25));
+        // T006 sold 50 GOOG from LOT_2 at $175 on 2024-08-01, converted at the 2024-07-31 TTBR
+        assert.strictEqual(Math.round(byLot.LOT_2.GrossProceedsINR), Math.round(50 * 175 * 83.52));
+        assert.strictEqual(byLot.LOT_2.PeakValueDate, '2024-12-31');
+        assert.strictEqual(Math.round(byLot.LOT_2.ClosingValueINR), Math.round(950 * 191.44 * 85.48));
+    });
+});
+
+test('Schedule FA splits a lot gifted mid-year between donor and recipient', function () {
+    var gift = {
+        ActionId: 'FA_GIFT', ActionDate: '2024-07-15', ActionType: 'GIFT', OwnerFromId: 'ALICE', OwnerToId: 'BOB',
+        BrokerFromId: 'BROKER1', BrokerToId: 'BROKER2', AccountFromId: 'ACCT001', AccountToId: 'ACCT002',
+        SecurityId: 'AAPL', SecurityToId: '', SplitNumerator: '', SplitDenominator: '', Quantity: 90, Notes: '', SourceRef: 'TEST'
+    };
+    var dividend = {
+        CashTxnId: 'FA_DIV', TxnDate: '2024-08-15', OwnerId: 'BOB', AccountId: 'ACCT002', Currency: 'USD',
+        Amount: 45, Category: 'DIVIDEND', LinkedTradeId: '', LinkedActionId: '', LinkedCashTxnId: '',
+        IsForeignIncome: 'TRUE', SecurityId: 'AAPL', Notes: '', SourceRef: 'TEST'
+    };
+    var rates = [
+        { Date: '2024-01-19', Currency: 'USD', TTBuyRate: 82.96, Source: 'TEST' },
+        { Date: '2024-08-15', Currency: 'USD', TTBuyRate: 83.6, Source: 'TEST' }
+    ];
+    withLedgerTables({ LotActions: [gift], CashMovements: [dividend], FX_Rates: rates }, function (written) {
+        context.buildScheduleFA(2024);
+        var aapl = written.Schedule_FA.filter(function (r) { return r.SecurityId === 'AAPL'; });
+        var donor = aapl.filter(function (r) { return r.LotId === 'LOT_3'; })[0];
+        var recipient = aapl.filter(function (r) { return r.OwnerId === 'BOB'; })[0];
+        // ALICE held the 90 shares until the gift: valued at the 2024-06-28 close, nothing at year end,
+        // and keeps her share of the January dividend (CM002)
+        assert.strictEqual(donor.OwnerId, 'ALICE');
+        assert.strictEqual(donor.PeakValueDate, '2024-06-28');
+        assert.strictEqual(Math.round(donor.PeakValueINR), Math.round(90 * 210.62 * 83.3));
+        assert.strictEqual(donor.ClosingValueINR, 0);
+        assert.strictEqual(Math.round(donor.GrossDividendsINR), Math.round(250 * 82.96 * 0.75));
+        // BOB holds them from the gift date, in his account
+        assert.strictEqual(recipient.AccountId, 'ACCT002');
+        assert.strictEqual(recipient.AcquisitionDate, '2024-07-15');
+        assert.strictEqual(Math.round(recipient.ClosingValueINR), Math.round(90 * 250.42 * 85.48));
+        assert.strictEqual(Math.round(recipient.GrossDividendsINR), Math.round(45 * 83.6));
+    });
+});
+
+test('Schedule FA reports a sale from the account the lot was in when a same-day transfer moves the rest', function () {
+    var sell = {
+        TradeId: 'FA_SELL', TradeDate: '2024-07-15', OwnerId: 'ALICE', BrokerId: 'BROKER1', AccountId: 'ACCT001',
+        SecurityId: 'AAPL', Side: 'SELL', Quantity: 40, Price: 220, Fees: 0, FXRateToINR: 83.5, Notes: '', SourceRef: 'TEST'
+    };
+    var transfer = {
+        ActionId: 'FA_TRANSFER', ActionDate: '2024-07-15', ActionType: 'TRANSFER', OwnerFromId: 'ALICE', OwnerToId: 'BOB',
+        BrokerFromId: 'BROKER1', BrokerToId: 'BROKER2', AccountFromId: 'ACCT001', AccountToId: 'ACCT002',
+        SecurityId: 'AAPL', SecurityToId: '', SplitNumerator: '', SplitDenominator: '', Quantity: 50, Notes: '', SourceRef: 'TEST'
+    };
+    withLedgerTables({ Trades: [sell], LotActions: [transfer] }, function (written) {
+        context.buildScheduleFA(2024);
+        var lot3 = written.Schedule_FA.filter(function (r) { return r.LotId === 'LOT_3'; });
+        var sold = lot3.filter(function (r) { return r.AccountId === 'ACCT001'; })[0];
+        var moved = lot3.filter(function (r) { return r.AccountId === 'ACCT002'; })[0];
+        assert.strictEqual(lot3.length, 2);
+        assert.strictEqual(sold.OwnerId, 'ALICE');
+        assert.ok(sold.GrossProceedsINR > 0);
+        assert.strictEqual(sold.ClosingValueINR, 0);
+        assert.strictEqual(moved.OwnerId, 'BOB');
+        assert.strictEqual(moved.AcquisitionDate, '2024-07-15');
+        assert.strictEqual(moved.GrossProceedsINR, 0);
+    });
+});
+
+test('Schedule FA logs dividends it cannot attribute to a holding', function () {
+    var dividend = {
+        CashTxnId: 'FA_DIV', TxnDate: '2024-08-15', OwnerId: 'BOB', AccountId: 'ACCT002', Currency: 'USD',
+        Amount: 45, Category: 'DIVIDEND', LinkedTradeId: '', LinkedActionId: '', LinkedCashTxnId: '',
+        IsForeignIncome: 'TRUE', SecurityId: '', Notes: '', SourceRef: 'TEST'
+    };
+    var rate = { Date: '2024-08-15', Currency: 'USD', TTBuyRate: 83.6, Source: 'TEST' };
+    withLedgerTables({ CashMovements: [dividend], FX_Rates: [rate] }, function (written) {
+        context.buildScheduleFA(2024);
+        var logged = written.Ledger_Exceptions.filter(function (x) {
+            return x.Source === 'buildScheduleFA' && x.ExceptionType === 'UNATTRIBUTED_DIVIDEND';
+        });
+        assert.strictEqual(logged.length, 1);
+        assert.strictEqual(logged[0].EventId, 'FA_DIV');
+    });
+});
+
+test('Schedule FA logs missing TT rates and year-end prices instead of failing', function () {
+    withLedgerTables({}, function (written) {
+        var readTable = context.readTable;
+        context.readTable = function (name) {
+            if (name === 'FX_Rates') return [];
+            if (name === 'Price_History') return readTable(name).filter(function (p) { return p.SecurityId !== 'AAPL'; });
+            return readTable(name);
+        };
+        context.buildScheduleFA(2024);
+        var byLot = {};
+        written.Schedule_FA.forEach(function (r) { byLot[r.LotId] = r; });
+        // AAPL has no price: reported with closing value 0
+        assert.strictEqual(byLot.LOT_3.ClosingValueINR, 0);
+        // GOOG year-end close at T006's rate, the last USD trade before it
+        assert.strictEqual(Math.round(byLot.LOT_2.ClosingValueINR), Math.round(950 * 191.44 * 83));
+        var logged = written.Ledger_Exceptions.filter(function (x) { return x.Source === 'buildScheduleFA'; });
+        var missingPrice = logged.filter(function (x) { return x.ExceptionType === 'MISSING_PRICE'; });
+        assert.strictEqual(missingPrice.map(function (x) { return x.EventId; }).join(','), 'LOT_3,LOT_4');
+        assert.ok(logged.some(function (x) {
+            return x.ExceptionType === 'MISSING_FX_RATE' && x.EventType === 'PRICE' && x.EventDate === '2024-12-31';
+        }));
+    });
+});
+
+test('foreign tax credit pairs withholding with its dividend at the Rule 115 rate', function () {
+    var withholding = {
+        CashTxnId: 'FTC_TAX', TxnDate: '2024-04-10', OwnerId: 'BOB', AccountId: 'ACCT002', Currency: 'USD',
+        Amount: -100, Category: 'TAX', LinkedTradeId: '', LinkedActionId: '', LinkedCashTxnId: 'CM005',
+        IsForeignIncome: 'FALSE', SecurityId: '', Notes: 'US withholding on CM005 dividend', SourceRef: 'TEST'
+    };
+    var rate = { Date: '2024-02-29', Currency: 'USD', TTBuyRate: 82.71, Source: 'TEST' };
+    withLedgerTables({ CashMovements: [withholding], FX_Rates: [rate] }, function (written) {
+        context.buildForeignTaxCredit();
+        var bob = written.Foreign_Tax_Credit.filter(function (r) { return r.OwnerId === 'BOB'; })[0];
+        assert.strictEqual(bob.FinancialYear, '2023-2024');
+        // Country of CM005's security, not of account ACCT002 (SGP)
+        assert.strictEqual(bob.Country, 'USA');
+        assert.strictEqual(bob.GrossDividendNative, 400);
+        assert.strictEqual(bob.TaxWithheldNative, 100);
+        // CM005 on 2024-03-20: TTBR on 2024-02-29
+        assert.strictEqual(Math.round(bob.TaxWithheldINR), Math.round(100 * 82.71));
+    });
+});
+
+test('full rebuild without an FX_Rates table falls back to trade rates and logs each one', function () {
+    withLedgerTables({}, function (written) {
+        var readTable = context.readTable;
+        context.readTable = function (name) { return name === 'FX_Rates' ? [] : readTable(name); };
+        context.rebuildAllDerived();
+        var bob = written.Foreign_Tax_Credit.filter(function (r) { return r.OwnerId === 'BOB'; })[0];
+        // CM005 on 2024-03-20 at T003's rate, the last USD trade before it
+        assert.strictEqual(Math.round(bob.GrossDividendINR), 400 * 78);
+        var alice = written.LRS_Utilisation.filter(function (r) { return r.OwnerId === 'ALICE'; })[0];
+        assert.strictEqual(alice.RemittedINR, 1000 * 78);
+        var bySource = {};
+        written.Ledger_Exceptions.filter(function (x) { return x.ExceptionType === 'MISSING_FX_RATE'; }).forEach(function (x) {
+            bySource[x.Source] = (bySource[x.Source] || []).concat(x.EventId);
+        });
+        assert.strictEqual(bySource.buildForeignTaxCredit.join(','), 'CM002,CM005');
+        assert.strictEqual(bySource.buildLRSUtilisation.join(','), 'CM001,CM004');
+    });
+});
+
+test('LRS utilisation sums foreign-account deposits and charges TCS above the threshold', function () {
+    var deposit = {
+        CashTxnId: 'LRS_002', TxnDate: '2024-03-20', OwnerId: 'BOB', AccountId: 'ACCT002', Currency: 'USD',
+        Amount: 10000, Category: 'DEPOSIT', LinkedTradeId: '', LinkedActionId: '', LinkedCashTxnId: '',
+        IsForeignIncome: 'FALSE', SecurityId: '', Notes: '', SourceRef: 'TEST'
+    };
+    var rates = [
+        { Date: '2024-03-15', Currency: 'USD', TTBuyRate: 82.68, Source: 'TEST' },
+        { Date: '2024-03-20', Currency: 'USD', TTBuyRate: 83.05, Source: 'TEST' }
+    ];
+    withLedgerTables({ CashMovements: [deposit], FX_Rates: rates }, function (written) {
+        context.buildLRSUtilisation();
+        var bob = written.LRS_Utilisation.filter(function (r) { return r.OwnerId === 'BOB'; })[0];
+        assert.strictEqual(bob.RemittedUSD, 10600);
+        assert.strictEqual(bob.HeadroomUSD, 239400);
+        // 20% on INR remitted above 7 lakh, at the TTBR on each deposit date
+        assert.strictEqual(Math.round(bob.TCSINR), Math.round((600 * 82.68 + 10000 * 83.05 - 700000) * 0.2));
+    });
+});
+
+test('RBI ageing buckets are per owner and account and only repatriations consume them', function () {
+    function cashRow(id, date, owner, account, currency, amount, category, linked) {
+        return {
+            CashTxnId: id, TxnDate: date, OwnerId: owner, AccountId: account, Currency: currency, Amount: amount,
+            Category: category, LinkedTradeId: '', LinkedActionId: '', LinkedCashTxnId: linked || '',
+            IsForeignIncome: 'FALSE', SecurityId: '', Notes: '', SourceRef: 'TEST'
+        };
+    }
+    var rows = [
+        cashRow('RBI_1', '2024-02-05', 'ALICE', 'ACCT001', 'USD', -200, 'BUY_SETTLEMENT'),
+        cashRow('RBI_2', '2024-05-01', 'BOB', 'ACCT002', 'USD', -1000, 'REPATRIATION'),
+        cashRow('RBI_3', '2024-06-01', 'ALICE', 'ACCT001', 'USD', -100, 'WITHDRAWAL', 'RBI_4'),
+        cashRow('RBI_4', '2024-06-03', 'ALICE', 'ACCT003', 'INR', 8300, 'DEPOSIT')
+    ];
+    withLedgerTables({ CashMovements: rows }, function (written) {
+        context.computeRBI180DayExposure();
+        var buckets = written.RBI_180_Ageing;
+        // Bob's repatriation clears only Bob's buckets; the settlement and unlinked CM003 withdrawal consume nothing
+        assert.strictEqual(buckets.length, 1);
+        assert.strictEqual(buckets[0].OwnerId, 'ALICE');
+        assert.strictEqual(buckets[0].AccountId, 'ACCT001');
+        assert.strictEqual(buckets[0].RemainingAmount, 150);
+        // CM003 is flagged for linking; the linked RBI_3 is not
+        var unlinked = written.Ledger_Exceptions.filter(function (x) { return x.ExceptionType === 'UNLINKED_WITHDRAWAL'; });
+        assert.strictEqual(unlinked.map(function (x) { return x.EventId; }).join(','), 'CM003');
+    });
+});
+
+test('RBI ageing status and deadline are computed as of a date with Settings thresholds', function () {
+    var warn = { Key: 'RBI_Warn_Days', Value: 60, Notes: '' };
+    withLedgerTables({ Settings: [warn] }, function (written) {
+        context.computeRBI180DayExposure('2024-05-01');
+        var alice = written.RBI_180_Ageing.filter(function (b) { return b.OwnerId === 'ALICE'; })[0];
+        assert.strictEqual(alice.AgeDays, 102);
+        assert.strictEqual(alice.DeadlineDate, '2024-07-18');
+        assert.strictEqual(alice.Status, 'CLOSE TO BREACH');
+
+    });
+});
+
+// ── Corporate action tests ──
+
+console.log('\nCorporate actions:');
+
+test('MERGER turns the fractional entitlement into a cash-in-lieu consume', function () {
+    var acquirer = {
+        SecurityId: 'ACQ', Ticker: 'ACQ', ISIN: '', AssetId: 'ACQ', Exchange: 'NASDAQ', Country: 'USA',
+        AssetClass: 'FOREIGN_EQUITY', TradingCurrency: 'USD', Name: 'Acquirer Inc'
+    };
+    var merger = {
+        ActionId: 'AAPL_MERGER', ActionDate: '2025-06-02', ActionType: 'MERGER', OwnerFromId: '', OwnerToId: '',
+        BrokerFromId: '', BrokerToId: '', AccountFromId: '', AccountToId: '', SecurityId: 'AAPL', SecurityToId: 'ACQ',
+        SplitNumerator: 2, SplitDenominator: 7, Quantity: '', CashInLieuPrice: 400, FXRateToINR: 85, Notes: '', SourceRef: 'TEST'
+    };
+    var before = context.readTable('Lots_Current').filter(function (l) { return l.LotId === 'LOT_3'; })[0];
+    withLedgerTables({ Securities: [acquirer], LotActions: [merger] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        var lot = written.Lots_Current.filter(function (l) { return l.LotId === 'LOT_3'; })[0];
+        var cil = written.LotConsumes.filter(function (c) { return c.LotId === 'LOT_3' && c.ConsumeType === 'CASH_IN_LIEU'; })[0];
+        // 90 AAPL x 2/7 = 25.714 ACQ: 25 shares kept, 0.714 paid in cash
+        assert.strictEqual(lot.OpenQty, 25);
+        assert.ok(Math.abs(cil.Quantity - (90 * 2 / 7 - 25)) < 1e-9);
+        assert.ok(Math.abs(cil.ProceedsINR - cil.Quantity * 400 * 85) < 1e-6);
+        assert.ok(Math.abs(lot.CostINR + cil.CostINR - before.CostINR) < 1e-6, 'Cost basis is split, not lost');
+        var gain = written.Gains_Realized.filter(function (g) { return g.LotId === 'LOT_3' && g.SellDate === '2025-06-02'; })[0];
+        assert.strictEqual(gain.SecurityId, 'ACQ');
+
+        context.rebuildXIRRCashflows();
+        var flow = written.XIRR_Cashflows.filter(function (r) {
+            return r.FlowType === 'CASH_IN_LIEU' && Math.abs(r.CashFlow - cil.ProceedsNative) < 1e-9;
+        });
+        assert.strictEqual(flow.length, 1);
+        assert.strictEqual(flow[0].SecurityId, 'ACQ');
+    });
+});
+
+test('MERGER entitlement below one share is all cash in lieu and closes the lot', function () {
+    var acquirer = {
+        SecurityId: 'ACQ', Ticker: 'ACQ', ISIN: '', AssetId: 'ACQ', Exchange: 'NASDAQ', Country: 'USA',
+        AssetClass: 'FOREIGN_EQUITY', TradingCurrency: 'USD', Name: 'Acquirer Inc'
+    };
+    var merger = {
+        ActionId: 'AAPL_MERGER', ActionDate: '2025-06-02', ActionType: 'MERGER', OwnerFromId: '', OwnerToId: '',
+        BrokerFromId: '', BrokerToId: '', AccountFromId: '', AccountToId: '', SecurityId: 'AAPL', SecurityToId: 'ACQ',
+        SplitNumerator: 1, SplitDenominator: 100, Quantity: '', CashInLieuPrice: 4000, FXRateToINR: 85, Notes: '', SourceRef: 'TEST'
+    };
+    var before = context.readTable('Lots_Current').filter(function (l) { return l.LotId === 'LOT_4'; })[0];
+    withLedgerTables({ Securities: [acquirer], LotActions: [merger] }, function (written) {
+        context.rebuildLots();
+        // 30 AAPL x 1/100 = 0.3 ACQ: no whole share, so the lot closes
+        assert.ok(!written.Lots_Current.some(function (l) { return l.LotId === 'LOT_4'; }));
+        var cil = written.LotConsumes.filter(function (c) { return c.LotId === 'LOT_4' && c.ConsumeType === 'CASH_IN_LIEU'; })[0];
+        assert.ok(Math.abs(cil.Quantity - 0.3) < 1e-9);
+        assert.ok(Math.abs(cil.CostINR - before.CostINR) < 1e-6, 'All of the cost goes to the cash in lieu');
+        assert.ok(!isNaN(cil.CostPriceNative));
+    });
+});
+
+test('MERGER entitlement below one share without CashInLieuPrice logs the dropped cost', function () {
+    var acquirer = {
+        SecurityId: 'ACQ', Ticker: 'ACQ', ISIN: '', AssetId: 'ACQ', Exchange: 'NASDAQ', Country: 'USA',
+        AssetClass: 'FOREIGN_EQUITY', TradingCurrency: 'USD', Name: 'Acquirer Inc'
+    };
+    var merger = {
+        ActionId: 'AAPL_MERGER', ActionDate: '2025-06-02', ActionType: 'MERGER', OwnerFromId: '', OwnerToId: '',
+        BrokerFromId: '', BrokerToId: '', AccountFromId: '', AccountToId: '', SecurityId: 'AAPL', SecurityToId: 'ACQ',
+        SplitNumerator: 1, SplitDenominator: 1000, Quantity: '', CashInLieuPrice: '', FXRateToINR: '', Notes: '', SourceRef: 'TEST'
+    };
+    withLedgerTables({ Securities: [acquirer], LotActions: [merger] }, function (written) {
+        context.rebuildLots();
+        // 90 and 30 AAPL x 1/1000: no whole ACQ share for either lot
+        assert.ok(!written.Lots_Current.some(function (l) { return l.LotId === 'LOT_3' || l.LotId === 'LOT_4'; }));
+        var logged = written.Ledger_Exceptions.filter(function (x) { return x.ExceptionType === 'MISSING_CASH_IN_LIEU_PRICE'; });
+        assert.strictEqual(logged.map(function (x) { return x.EventId + ' ' + x.SecurityId; }).join(', '), 'AAPL_MERGER AAPL, AAPL_MERGER AAPL');
+        assert.ok(Math.abs(logged[0].RequestedQty - 0.09) < 1e-9);
+        assert.ok(/LOT_3/.test(logged[0].Message));
+    });
+});
+
+test('DEMERGER creates child lots with the parent BuyDate and apportioned cost', function () {
+    var child = {
+        SecurityId: 'HDFCFIN', Ticker: 'HDFCFIN', ISIN: '', AssetId: 'HDFCFIN', Exchange: 'NSE', Country: 'IND',
+        AssetClass: 'IND_EQUITY', TradingCurrency: 'INR', Name: 'HDFC Financial Services'
+    };
+    var demerger = {
+        ActionId: 'HDFC_DEMERGER', ActionDate: '2025-06-02', ActionType: 'DEMERGER', OwnerFromId: '', OwnerToId: '',
+        BrokerFromId: '', BrokerToId: '', AccountFromId: '', AccountToId: '', SecurityId: 'HDFCBANK', SecurityToId: 'HDFCFIN',
+        SplitNumerator: 1, SplitDenominator: 2, Quantity: '', CostApportionPct: 20, Notes: '', SourceRef: 'TEST'
+    };
+    var before = context.readTable('Lots_Current').filter(function (l) { return l.SecurityId === 'HDFCBANK'; });
+    withLedgerTables({ Securities: [child], LotActions: [demerger] }, function (written) {
+        context.rebuildLots();
+        before.forEach(function (b) {
+            var parent = written.Lots_Current.filter(function (l) { return l.LotId === b.LotId; })[0];
+            var kid = written.Lots_Current.filter(function (l) {
+                return l.SecurityId === 'HDFCFIN' && l.AccountId === b.AccountId && l.BuyDate === b.BuyDate;
+            })[0];
+            assert.strictEqual(parent.OpenQty, b.OpenQty);
+            assert.strictEqual(kid.OpenQty, b.OpenQty / 2);
+            assert.ok(Math.abs(kid.CostINR - b.CostINR * 0.2) < 1e-6);
+            assert.ok(Math.abs(parent.CostINR + kid.CostINR - b.CostINR) < 1e-6, 'Cost basis is split, not lost');
+        });
+    });
+});
+
+test('RIGHTS entitlements are zero-cost lots; subscribed ones become shares held from allotment', function () {
+    var re = {
+        SecurityId: 'HDFCBANK-RE', Ticker: 'HDFCBANK-RE', ISIN: '', AssetId: 'HDFCBANK-RE', Exchange: 'NSE', Country: 'IND',
+        AssetClass: 'IND_EQUITY', TradingCurrency: 'INR', Name: 'HDFC Bank Rights Entitlement'
+    };
+    var blankAction = {
+        OwnerFromId: '', OwnerToId: '', BrokerFromId: '', BrokerToId: '', AccountFromId: '', AccountToId: '',
+        SplitNumerator: '', SplitDenominator: '', Quantity: '', Price: '', FXRateToINR: '', Notes: '', SourceRef: 'TEST'
+    };
+    var rights = Object.assign({}, blankAction, {
+        ActionId: 'HDFC_RIGHTS', ActionDate: '2025-06-02', ActionType: 'RIGHTS',
+        SecurityId: 'HDFCBANK', SecurityToId: 'HDFCBANK-RE', SplitNumerator: 1, SplitDenominator: 6
+    });
+    var subscribe = Object.assign({}, blankAction, {
+        ActionId: 'HDFC_RIGHTS_SUB', ActionDate: '2025-06-20', ActionType: 'RIGHTS_SUBSCRIPTION', OwnerFromId: 'ALICE',
+        SecurityId: 'HDFCBANK-RE', SecurityToId: 'HDFCBANK', Quantity: 30, Price: 1480, FXRateToINR: 1
+    });
+    var renounce = Object.assign({}, OVERSELL_TRADE, {
+        TradeId: 'RE_SELL', TradeDate: '2025-06-10', SecurityId: 'HDFCBANK-RE', Quantity: 20, Price: 40
+    });
+    withLedgerTables({ Securities: [re], LotActions: [rights, subscribe], Trades: [renounce] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        // ALICE holds 300 HDFCBANK: 50 REs, 20 sold, 30 subscribed
+        assert.strictEqual(written.Lots_Current.filter(function (l) { return l.SecurityId === 'HDFCBANK-RE'; }).length, 0);
+        var allotted = written.Lots_Current.filter(function (l) { return l.SecurityId === 'HDFCBANK' && l.BuyDate === '2025-06-20'; })[0];
+        assert.strictEqual(allotted.OpenQty, 30);
+        assert.strictEqual(allotted.CostINR, 30 * 1480);
+        var sale = written.Gains_Realized.filter(function (g) { return g.SecurityId === 'HDFCBANK-RE'; })[0];
+        assert.strictEqual(sale.CostINR, 0);
+        assert.strictEqual(sale.GainINR, 20 * 40);
+        assert.strictEqual(sale.GainType, 'STCG');
+    });
+});
+
+test('BUYBACK from 1-Oct-2024 books the cost as a capital loss and the proceeds as deemed dividend', function () {
+    var buyback = function (id, date, qty) {
+        return {
+            ActionId: id, ActionDate: date, ActionType: 'BUYBACK', OwnerFromId: 'ALICE', OwnerToId: '',
+            BrokerFromId: 'BROKER2', BrokerToId: '', AccountFromId: 'ACCT003', AccountToId: '', SecurityId: 'HDFCBANK',
+            SecurityToId: '', SplitNumerator: '', SplitDenominator: '', Quantity: qty, Price: 1900, FXRateToINR: 1,
+            Notes: '', SourceRef: 'TEST'
+        };
+    };
+    withLedgerTables({ LotActions: [buyback('BB_OLD', '2024-07-01', 50), buyback('BB_NEW', '2024-11-15', 100)] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        var consumed = written.LotConsumes.filter(function (c) { return c.ConsumeType === 'BUYBACK'; });
+        assert.strictEqual(consumed.length, 2);
+        var open = written.Lots_Current.filter(function (l) { return l.SecurityId === 'HDFCBANK'; })[0];
+        assert.strictEqual(open.OpenQty, 150);
+
+        // The pre-October buyback is exempt: no gain and no income
+        var gains = written.Gains_Realized.filter(function (g) { return g.SecurityId === 'HDFCBANK' && g.SellDate >= '2024-07-01'; });
+        assert.strictEqual(gains.length, 1);
+        assert.strictEqual(gains[0].ProceedsINR, 0);
+        assert.strictEqual(gains[0].GainINR, -gains[0].CostINR);
+        assert.ok(gains[0].GainINR < 0);
+        assert.strictEqual(written.Income_Realized.length, 1);
+        var income = written.Income_Realized[0];
+        assert.strictEqual(income.IncomeType, 'DEEMED_DIVIDEND');
+        assert.strictEqual(income.ActionId, 'BB_NEW');
+        assert.strictEqual(income.TaxableOwnerId, 'ALICE');
+        assert.strictEqual(income.AmountINR, 100 * 1900);
+        assert.strictEqual(income.FinancialYear, '2024-2025');
+
+        // Both tenders return cash to the XIRR cashflows
+        context.rebuildXIRRCashflows();
+        var flows = written.XIRR_Cashflows.filter(function (r) { return r.FlowType === 'BUYBACK'; });
+        assert.strictEqual(flows.reduce(function (sum, r) { return sum + r.CashFlow; }, 0), 150 * 1900);
+    });
+});
+
+test('cash-and-stock MERGER splits cost by value between a deemed sale and the new lot', function () {
+    var acquirer = {
+        SecurityId: 'ACQ', Ticker: 'ACQ', ISIN: '', AssetId: 'ACQ', Exchange: 'NASDAQ', Country: 'USA',
+        AssetClass: 'FOREIGN_EQUITY', TradingCurrency: 'USD', Name: 'Acquirer Inc'
+    };
+    var merger = {
+        ActionId: 'AAPL_MERGER', ActionDate: '2025-06-02', ActionType: 'MERGER', OwnerFromId: '', OwnerToId: '',
+        BrokerFromId: '', BrokerToId: '', AccountFromId: '', AccountToId: '', SecurityId: 'AAPL', SecurityToId: 'ACQ',
+        SplitNumerator: 1, SplitDenominator: 4, Quantity: '', CashInLieuPrice: '', CashPerShare: 30, AcquirerPrice: 120,
+        FXRateToINR: 85, Notes: '', SourceRef: 'TEST'
+    };
+    var before = context.readTable('Lots_Current').filter(function (l) { return l.LotId === 'LOT_3'; })[0];
+    withLedgerTables({ Securities: [acquirer], LotActions: [merger] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        var lot = written.Lots_Current.filter(function (l) { return l.LotId === 'LOT_3'; })[0];
+        var cash = written.LotConsumes.filter(function (c) { return c.LotId === 'LOT_3' && c.ConsumeType === 'MERGER_CASH'; })[0];
+        // $30 cash + 1/4 x $120 stock per share: half the value, so half the cost, is sold for cash
+        assert.strictEqual(cash.SecurityId, 'AAPL');
+        assert.strictEqual(cash.ProceedsINR, 90 * 30 * 85);
+        assert.ok(Math.abs(cash.CostINR - before.CostINR / 2) < 1e-6);
+        assert.strictEqual(lot.SecurityId, 'ACQ');
+        assert.strictEqual(lot.OpenQty, 22);
+        assert.ok(Math.abs(lot.CostINR + cash.CostINR - before.CostINR) < 1e-6, 'Cost basis is split, not lost');
+        var gain = written.Gains_Realized.filter(function (g) { return g.LotId === 'LOT_3' && g.SellDate === '2025-06-02'; })[0];
+        assert.strictEqual(gain.SecurityId, 'AAPL');
+        assert.strictEqual(gain.Quantity, 45);
+    });
+});
+
+test('BUYBACK of a foreign security is an ordinary sale with no deemed dividend', function () {
+    var buyback = function (id, date) {
+        return {
+            ActionId: id, ActionDate: date, ActionType: 'BUYBACK', OwnerFromId: 'ALICE', OwnerToId: '',
+            BrokerFromId: 'BROKER1', BrokerToId: '', AccountFromId: 'ACCT001', AccountToId: '', SecurityId: 'AAPL',
+            SecurityToId: '', SplitNumerator: '', SplitDenominator: '', Quantity: 10, Price: 250, FXRateToINR: 84,
+            Notes: '', SourceRef: 'TEST'
+        };
+    };
+    withLedgerTables({ LotActions: [buyback('AAPL_BB_OLD', '2024-07-01'), buyback('AAPL_BB_NEW', '2024-11-15')] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        var gains = written.Gains_Realized.filter(function (g) { return g.SecurityId === 'AAPL' && g.SellDate >= '2024-07-01'; });
+        assert.strictEqual(gains.map(function (g) { return g.SellDate; }).join(','), '2024-07-01,2024-11-15');
+        gains.forEach(function (g) {
+            assert.ok(g.ProceedsINR > 0, 'Proceeds are kept');
+            assert.ok(g.GainINR > -g.CostINR);
+        });
+        assert.strictEqual(written.Income_Realized.length, 0);
+    });
+});
+
+test('deemed dividend on a buyback of shares gifted by a spouse is taxed to the donor', function () {
+    function owner(id, spouse) {
+        return { EntityId: id, EntityType: 'OWNER', Name: id, OwnerId: '', SpouseId: spouse, BrokerId: '', Country: '',
+                 Currency: '', AccountKind: '', IsForeignAccount: '', FEMACategoryNotes: '' };
+    }
+    var buy = Object.assign({}, OVERSELL_TRADE, { TradeId: 'CLUB_BUY', TradeDate: '2023-01-02', OwnerId: 'HUSB', Side: 'BUY', Quantity: 10, Price: 100 });
+    var gift = {
+        ActionId: 'CLUB_GIFT', ActionDate: '2023-06-01', ActionType: 'GIFT', OwnerFromId: 'HUSB', OwnerToId: 'WIFE',
+        BrokerFromId: 'BROKER2', BrokerToId: 'BROKER2', AccountFromId: 'ACCT003', AccountToId: 'ACCT003',
+        SecurityId: 'HDFCBANK', SecurityToId: '', SplitNumerator: '', SplitDenominator: '', Quantity: 10, Notes: '', SourceRef: 'TEST'
+    };
+    var buyback = {
+        ActionId: 'CLUB_BB', ActionDate: '2024-11-15', ActionType: 'BUYBACK', OwnerFromId: 'WIFE', OwnerToId: '',
+        BrokerFromId: 'BROKER2', BrokerToId: '', AccountFromId: 'ACCT003', AccountToId: '', SecurityId: 'HDFCBANK',
+        SecurityToId: '', SplitNumerator: '', SplitDenominator: '', Quantity: 10, Price: 150, FXRateToINR: 1,
+        Notes: '', SourceRef: 'TEST'
+    };
+    withLedgerTables({ Entities: [owner('HUSB', 'WIFE'), owner('WIFE', '')], Trades: [buy], LotActions: [gift, buyback] }, function (written) {
+        context.rebuildLots();
+        context.computeRealizedGains();
+        var income = written.Income_Realized.filter(function (r) { return r.ActionId === 'CLUB_BB'; })[0];
+        assert.strictEqual(income.OwnerId, 'WIFE');
+        assert.strictEqual(income.TaxableOwnerId, 'HUSB');
+        assert.strictEqual(income.AmountINR, 1500);
+    });
+});
+
+test('all-cash MERGER with no SecurityToId sells the whole lot and closes it', function () {
+    var merger = {
+        ActionId: 'AAPL_MERGER', ActionDate: '2025-06-02', ActionType: 'MERGER', OwnerFromId: '', OwnerToId: '',
+        BrokerFromId: '', BrokerToId: '', AccountFromId: '', AccountToId: '', SecurityId: 'AAPL', SecurityToId: '',
+        SplitNumerator: '', SplitDenominator: '', Quantity: '', CashInLieuPrice: '', CashPerShare: 200, AcquirerPrice: '',
+        FXRateToINR: 85, Notes: '', SourceRef: 'TEST'
+    };
+    var before = context.readTable('Lots_Current').filter(function (l) { return l.LotId === 'LOT_3'; })[0];
+    withLedgerTables({ LotActions: [merger] }, function (written) {
+        context.rebuildLots();
+        var cash = written.LotConsumes.filter(function (c) { return c.LotId === 'LOT_3' && c.ConsumeType === 'MERGER_CASH'; })[0];
+        assert.strictEqual(cash.SecurityId, 'AAPL');
+        assert.strictEqual(cash.Quantity, before.OpenQty);
+        assert.strictEqual(cash.ProceedsINR, before.OpenQty * 200 * 85);
+        assert.ok(Math.abs(cash.CostINR - before.CostINR) < 1e-6);
+        assert.ok(!written.Lots_Current.some(function (l) { return l.LotId === 'LOT_3'; }));
+
+        context.rebuildXIRRCashflows();
+        var flow = written.XIRR_Cashflows.filter(function (r) { return r.FlowType === 'MERGER_CASH' && r.OwnerId === 'ALICE'; });
+        assert.strictEqual(flow.length, 2);
+        assert.strictEqual(flow[0].SecurityId, 'AAPL');
+        assert.strictEqual(flow.reduce(function (sum, r) { return sum + r.CashFlow; }, 0), 120 * 200);
+    });
+});
+
+// ── Summary ──
+
+console.log('\n=== Results: ' + passed + ' passed, ' + failed + ' failed ===\n');
+if (failed > 0) process.exit(1);
@@ -13,13 +13,21 @@ const OUTPUT_FILES = [
     'Lots_Current.json',
     'LotConsumes.json',
     'Gains_Realized.json',
+    'Income_Realized.json',
+    'Ledger_Exceptions.json',
     'Tax_Summary_FY.json',
+    'Loss_CarryForward.json',
+    'Tax_Liability_FY.json',
+    'Advance_Tax_Schedule.json',
+    'Foreign_Tax_Credit.json',
+    'LRS_Utilisation.json',
     'XIRR_Cashflows.json',
     'Cash_Balances.json',
     'RBI_180_Ageing.json',
     'QC_Equity_By_Account.json',
     'Sensitivity_Data.json',
     'Sensitivity_Summary.json',
+    'Harvest_Candidates.json',
     'Bonds_Current.json'
 ];
 
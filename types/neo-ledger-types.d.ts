@@ -1,21 +1,39 @@
 import type {
+    AdvanceTaxPaidRow,
+    AdvanceTaxScheduleRow,
     AssertionRow,
     BondCurrentRow,
     BondTransactionRow,
     CashBalanceRow,
     CashMovementRow,
+    CIIRow,
     ConfigRow,
     EntityRow,
+    ForeignTaxCreditRow,
+    FXRateRow,
     GainRealizedRow,
+    HarvestCandidateRow,
+    IncomeRealizedRow,
+    LedgerExceptionRow,
+    LossCarryForwardRow,
     LotActionRow,
     LotConsumeRow,
     LotCurrentRow,
+    LRSUtilisationRow,
+    OwnerTaxProfileRow,
+    PriceHistoryRow,
     PriceRow,
     QCEquityByAccountRow,
     RBIAgeingRow,
+    SaleLotSelectionRow,
+    Schedule112ARow,
+    ScheduleCGRow,
+    ScheduleFARow,
     SecurityRow,
     SensitivityDataDocument,
     SensitivitySummaryRow,
+    SettingRow,
+    TaxLiabilityFYRow,
     TaxSummaryFYRow,
     TradeRow,
     XIRRCashflowRow
@@ -27,19 +45,37 @@ export interface TableNameMap {
     Securities: SecurityRow[];
     Trades: TradeRow[];
     LotActions: LotActionRow[];
+    SaleLotSelections: SaleLotSelectionRow[];
     CashMovements: CashMovementRow[];
     Prices: PriceRow[];
+    CII: CIIRow[];
+    FX_Rates: FXRateRow[];
+    Price_History: PriceHistoryRow[];
+    Owner_Tax_Profile: OwnerTaxProfileRow[];
+    Settings: SettingRow[];
+    Advance_Tax_Paid: AdvanceTaxPaidRow[];
     Assertions: AssertionRow[];
     Lots_Current: LotCurrentRow[];
     LotConsumes: LotConsumeRow[];
     Gains_Realized: GainRealizedRow[];
+    Income_Realized: IncomeRealizedRow[];
+    Ledger_Exceptions: LedgerExceptionRow[];
     Tax_Summary_FY: TaxSummaryFYRow[];
+    Loss_CarryForward: LossCarryForwardRow[];
+    Tax_Liability_FY: TaxLiabilityFYRow[];
+    Advance_Tax_Schedule: AdvanceTaxScheduleRow[];
+    Foreign_Tax_Credit: ForeignTaxCreditRow[];
+    LRS_Utilisation: LRSUtilisationRow[];
+    Schedule_FA: ScheduleFARow[];
+    Schedule_112A: Schedule112ARow[];
+    Schedule_CG: ScheduleCGRow[];
     Cash_Balances: CashBalanceRow[];
     XIRR_Cashflows: XIRRCashflowRow[];
     RBI_180_Ageing: RBIAgeingRow[];
     QC_Equity_By_Account: QCEquityByAccountRow[];
     Sensitivity_Data: SensitivityDataDocument[];
     Sensitivity_Summary: SensitivitySummaryRow[];
+    Harvest_Candidates: HarvestCandidateRow[];
     Bond_Transactions: BondTransactionRow[];
     Bonds_Current: BondCurrentRow[];
 }
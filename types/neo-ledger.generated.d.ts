@@ -13,6 +13,11 @@ export type Identifier = string;
  * via the `definition` "IsoDate".
  */
 export type IsoDate = string;
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "IsoDateOrBlank".
+ */
+export type IsoDateOrBlank = IsoDate | '';
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "IsoDateTimeOrBlank".
@@ -52,7 +57,17 @@ export type TradeSide = 'BUY' | 'SELL';
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "LotActionType".
  */
-export type LotActionType = 'SPLIT' | 'BONUS' | 'MERGER' | 'CLASS_REORG' | 'GIFT' | 'TRANSFER';
+export type LotActionType =
+  | 'SPLIT'
+  | 'BONUS'
+  | 'MERGER'
+  | 'DEMERGER'
+  | 'RIGHTS'
+  | 'RIGHTS_SUBSCRIPTION'
+  | 'BUYBACK'
+  | 'CLASS_REORG'
+  | 'GIFT'
+  | 'TRANSFER';
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "CashCategory".
@@ -121,6 +136,11 @@ export type TradesFile = TradeRow[];
  * via the `definition` "LotActionsFile".
  */
 export type LotActionsFile = LotActionRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "SaleLotSelectionsFile".
+ */
+export type SaleLotSelectionsFile = SaleLotSelectionRow[];
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "CashMovementsFile".
@@ -131,6 +151,36 @@ export type CashMovementsFile = CashMovementRow[];
  * via the `definition` "PricesFile".
  */
 export type PricesFile = PriceRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "OwnerTaxProfileFile".
+ */
+export type OwnerTaxProfileFile = OwnerTaxProfileRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "AdvanceTaxPaidFile".
+ */
+export type AdvanceTaxPaidFile = AdvanceTaxPaidRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "SettingsFile".
+ */
+export type SettingsFile = SettingRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "CIIFile".
+ */
+export type CIIFile = CIIRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "FXRatesFile".
+ */
+export type FXRatesFile = FXRateRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "PriceHistoryFile".
+ */
+export type PriceHistoryFile = PriceHistoryRow[];
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "AssertionsFile".
@@ -151,11 +201,61 @@ export type LotConsumesFile = LotConsumeRow[];
  * via the `definition` "GainsRealizedFile".
  */
 export type GainsRealizedFile = GainRealizedRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "IncomeRealizedFile".
+ */
+export type IncomeRealizedFile = IncomeRealizedRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "LedgerExceptionsFile".
+ */
+export type LedgerExceptionsFile = LedgerExceptionRow[];
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "TaxSummaryFYFile".
  */
 export type TaxSummaryFYFile = TaxSummaryFYRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "LossCarryForwardFile".
+ */
+export type LossCarryForwardFile = LossCarryForwardRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "TaxLiabilityFYFile".
+ */
+export type TaxLiabilityFYFile = TaxLiabilityFYRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "AdvanceTaxScheduleFile".
+ */
+export type AdvanceTaxScheduleFile = AdvanceTaxScheduleRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "ForeignTaxCreditFile".
+ */
+export type ForeignTaxCreditFile = ForeignTaxCreditRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "LRSUtilisationFile".
+ */
+export type LRSUtilisationFile = LRSUtilisationRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "ScheduleFAFile".
+ */
+export type ScheduleFAFile = ScheduleFARow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "Schedule112AFile".
+ */
+export type Schedule112AFile = Schedule112ARow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "ScheduleCGFile".
+ */
+export type ScheduleCGFile = ScheduleCGRow[];
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "CashBalancesFile".
@@ -189,6 +289,11 @@ export type SensitivityDataFile = [SensitivityDataDocument];
  * via the `definition` "SensitivitySummaryFile".
  */
 export type SensitivitySummaryFile = SensitivitySummaryRow[];
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "HarvestCandidatesFile".
+ */
+export type HarvestCandidatesFile = HarvestCandidateRow[];
 
 /**
  * Reusable JSON Schema definitions for Neo Ledger input tables, derived tables, and the bank-statement parser adapter contract. Validate individual files with fragment refs such as #/$defs/TradesFile or #/$defs/CashMovementsFile.
@@ -248,12 +353,16 @@ export interface BondCurrentRow {
  */
 export interface ConfigRow {
   AssetClass: Identifier;
+  EffectiveFrom?: IsoDateOrBlank;
+  EffectiveTo?: IsoDateOrBlank;
   HoldingPeriod_ST_Days: number;
   HoldingPeriod_LT_Days: number;
   STCG_Tax_Rate: TaxRate;
   LTCG_Tax_Rate: TaxRate;
   LTCG_Exemption_INR: number;
   Indexation_Allowed: BooleanLike;
+  FIFO_Scope?: 'OWNER' | 'ACCOUNT' | 'BROKER' | '';
+  FX_Conversion_Policy?: 'TRADE_RATE' | 'RULE_115' | 'SBI_TTBR_ON_DATE' | '';
   Tax_Regime_Notes: StringOrBlank;
 }
 /**
@@ -265,6 +374,7 @@ export interface EntityRow {
   EntityType: 'OWNER' | 'BROKER' | 'ACCOUNT' | '';
   Name: StringOrBlank;
   OwnerId: StringOrBlank;
+  SpouseId?: StringOrBlank;
   BrokerId: StringOrBlank;
   Country: StringOrBlank;
   Currency: StringOrBlank;
@@ -279,12 +389,14 @@ export interface EntityRow {
 export interface SecurityRow {
   SecurityId: Identifier;
   Ticker: Identifier;
+  ISIN?: StringOrBlank;
   AssetId: Identifier;
   Exchange: StringOrBlank;
   Country: StringOrBlank;
   AssetClass: Identifier;
   TradingCurrency: Identifier;
   Name: StringOrBlank;
+  FMV_31Jan2018_INR?: NumberOrBlank;
 }
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
@@ -324,6 +436,24 @@ export interface LotActionRow {
   SplitNumerator: NumberOrBlank;
   SplitDenominator: NumberOrBlank;
   Quantity: NumberOrBlank;
+  CashInLieuPrice?: NumberOrBlank;
+  CashPerShare?: NumberOrBlank;
+  AcquirerPrice?: NumberOrBlank;
+  FXRateToINR?: NumberOrBlank;
+  CostApportionPct?: NumberOrBlank;
+  Price?: NumberOrBlank;
+  Notes: StringOrBlank;
+  SourceRef: StringOrBlank;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "SaleLotSelectionRow".
+ */
+export interface SaleLotSelectionRow {
+  SelectionId: Identifier;
+  TradeId: Identifier;
+  SourceId: Identifier;
+  Quantity: number;
   Notes: StringOrBlank;
   SourceRef: StringOrBlank;
 }
@@ -341,7 +471,9 @@ export interface CashMovementRow {
   Category: CashCategory;
   LinkedTradeId: StringOrBlank;
   LinkedActionId: StringOrBlank;
+  LinkedCashTxnId?: StringOrBlank;
   IsForeignIncome: BooleanLike;
+  SecurityId?: StringOrBlank;
   Notes: StringOrBlank;
   SourceRef: StringOrBlank;
 }
@@ -356,12 +488,72 @@ export interface PriceRow {
   FXRate?: NumberOrBlank;
   [k: string]: unknown;
 }
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "OwnerTaxProfileRow".
+ */
+export interface OwnerTaxProfileRow {
+  OwnerId: Identifier;
+  FinancialYear: FinancialYear | '';
+  Regime: 'NEW' | 'OLD';
+  SlabRate: TaxRate;
+  OtherIncomeINR: number;
+  Notes?: StringOrBlank;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "AdvanceTaxPaidRow".
+ */
+export interface AdvanceTaxPaidRow {
+  OwnerId: Identifier;
+  FinancialYear: FinancialYear;
+  PaidDate: IsoDate;
+  AmountINR: number;
+  Notes?: StringOrBlank;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "SettingRow".
+ */
+export interface SettingRow {
+  Key: Identifier;
+  Value: string | number | boolean;
+  Notes?: StringOrBlank;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "CIIRow".
+ */
+export interface CIIRow {
+  FinancialYear: FinancialYear;
+  CII: number;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "FXRateRow".
+ */
+export interface FXRateRow {
+  Date: IsoDate;
+  Currency: Identifier;
+  TTBuyRate: number;
+  Source?: StringOrBlank;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "PriceHistoryRow".
+ */
+export interface PriceHistoryRow {
+  Date: IsoDate;
+  SecurityId: Identifier;
+  Price: number;
+}
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "LotCurrentRow".
  */
 export interface LotCurrentRow {
   LotId: Identifier;
+  SourceId: Identifier;
   OwnerId: Identifier;
   SecurityId: Identifier;
   AssetId: Identifier;
@@ -370,9 +562,12 @@ export interface LotCurrentRow {
   CostNative: number;
   CostPriceNative: number;
   CostINR: number;
+  FeesNative: number;
+  FeesINR: number;
   BuyFXRate: number;
   BrokerId: Identifier;
   AccountId: Identifier;
+  GiftedById: StringOrBlank;
 }
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
@@ -380,11 +575,13 @@ export interface LotCurrentRow {
  */
 export interface LotConsumeRow {
   ConsumeId: Identifier;
+  ConsumeType: 'SELL' | 'CASH_IN_LIEU' | 'BUYBACK' | 'MERGER_CASH';
   TradeId: Identifier;
   OwnerId: Identifier;
   SecurityId: Identifier;
   AssetId: Identifier;
   LotId: Identifier;
+  GiftedById: StringOrBlank;
   BuyDate: IsoDate;
   SellDate: IsoDate;
   Quantity: number;
@@ -392,8 +589,12 @@ export interface LotConsumeRow {
   CostPriceNative: number;
   CostINR: number;
   CostFXRate: number | null;
+  BuyFeesNative: number;
+  BuyFeesINR: number;
   SalePriceNative: number;
   SaleFXRate: number;
+  SaleFeesNative: number;
+  SaleFeesINR: number;
   ProceedsNative: number;
   ProceedsINR: number;
 }
@@ -403,19 +604,75 @@ export interface LotConsumeRow {
  */
 export interface GainRealizedRow {
   OwnerId: Identifier;
+  TaxableOwnerId: Identifier;
   SecurityId: Identifier;
   LotId: Identifier;
   BuyDate: IsoDate;
   SellDate: IsoDate;
   Quantity: number;
   CostINR: number;
+  GrandfatheredCostINR: NumberOrBlank;
   ProceedsINR: number;
+  BuyFeesINR: number;
+  SaleFeesINR: number;
+  FXPolicy: 'TRADE_RATE' | 'RULE_115' | 'SBI_TTBR_ON_DATE';
+  CostFXRate: number;
+  CostFXDate: IsoDateOrBlank;
+  ProceedsFXRate: number;
+  ProceedsFXDate: IsoDateOrBlank;
   GainINR: number;
+  IndexedCostINR: NumberOrBlank;
+  IndexedGainINR: NumberOrBlank;
   HoldingDays: number;
   GainType: 'STCG' | 'LTCG';
+  TaxRate: TaxRate;
   AssetClass: Identifier;
   FinancialYear: FinancialYear;
 }
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "IncomeRealizedRow".
+ */
+export interface IncomeRealizedRow {
+  OwnerId: Identifier;
+  TaxableOwnerId: Identifier;
+  FinancialYear: FinancialYear;
+  IncomeDate: IsoDate;
+  IncomeType: 'DEEMED_DIVIDEND';
+  SecurityId: Identifier;
+  ActionId: Identifier;
+  LotId: Identifier;
+  Quantity: number;
+  AmountNative: number;
+  Currency: Identifier;
+  FXRate: number;
+  AmountINR: number;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "LedgerExceptionRow".
+ */
+export interface LedgerExceptionRow {
+  ExceptionType:
+    | 'OVERSELL'
+    | 'UNKNOWN_SECURITY'
+    | 'INVALID_LOT_SELECTION'
+    | 'MISSING_FX_RATE'
+    | 'MISSING_CII'
+    | 'MISSING_PRICE'
+    | 'MISSING_CASH_IN_LIEU_PRICE'
+    | 'UNATTRIBUTED_DIVIDEND'
+    | 'UNLINKED_WITHDRAWAL';
+  Source: Identifier;
+  EventId: StringOrBlank;
+  EventType: Identifier;
+  EventDate: IsoDate;
+  OwnerId: StringOrBlank;
+  SecurityId: StringOrBlank;
+  RequestedQty: NumberOrBlank;
+  AvailableQty: NumberOrBlank;
+  Message: StringOrBlank;
+}
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "TaxSummaryFYRow".
@@ -426,10 +683,148 @@ export interface TaxSummaryFYRow {
   AssetClass: Identifier;
   GainType: 'STCG' | 'LTCG';
   GrossGainINR: number;
+  LossSetOffINR: number;
   ExemptINR: number;
   TaxableINR: number;
   TaxRate: TaxRate;
 }
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "LossCarryForwardRow".
+ */
+export interface LossCarryForwardRow {
+  OwnerId: Identifier;
+  LossFY: FinancialYear;
+  LossType: 'STCL' | 'LTCL';
+  LossINR: number;
+  SetOffINR: number;
+  ExpiredINR: number;
+  BalanceINR: number;
+  ExpiresAfterFY: FinancialYear;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "TaxLiabilityFYRow".
+ */
+export interface TaxLiabilityFYRow {
+  OwnerId: Identifier;
+  FinancialYear: FinancialYear;
+  Regime: 'NEW' | 'OLD';
+  SlabRate: number;
+  OtherIncomeINR: number;
+  TaxableGainsINR: number;
+  TaxINR: number;
+  SurchargeRate: number;
+  SurchargeINR: number;
+  CessINR: number;
+  TotalTaxINR: number;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "AdvanceTaxScheduleRow".
+ */
+export interface AdvanceTaxScheduleRow {
+  OwnerId: Identifier;
+  FinancialYear: FinancialYear;
+  DueDate: IsoDate;
+  InstalmentPct: number;
+  CumulativeGainsINR: number;
+  EstimatedTaxINR: number;
+  RequiredINR: number;
+  PaidToDateINR: number;
+  ShortfallINR: number;
+  Interest234CINR: number;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "ForeignTaxCreditRow".
+ */
+export interface ForeignTaxCreditRow {
+  OwnerId: Identifier;
+  FinancialYear: FinancialYear;
+  Country: StringOrBlank;
+  Currency: Identifier;
+  GrossDividendNative: number;
+  TaxWithheldNative: number;
+  GrossDividendINR: number;
+  TaxWithheldINR: number;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "LRSUtilisationRow".
+ */
+export interface LRSUtilisationRow {
+  OwnerId: Identifier;
+  FinancialYear: FinancialYear;
+  Remittances: number;
+  RemittedUSD: number;
+  RemittedINR: number;
+  LimitUSD: number;
+  HeadroomUSD: number;
+  TCSINR: number;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "ScheduleFARow".
+ */
+export interface ScheduleFARow {
+  CalendarYear: number;
+  OwnerId: Identifier;
+  AccountId: StringOrBlank;
+  SecurityId: Identifier;
+  Name: StringOrBlank;
+  Country: StringOrBlank;
+  LotId: Identifier;
+  AcquisitionDate: IsoDate;
+  Currency: Identifier;
+  InitialValueINR: number;
+  PeakValueINR: number;
+  PeakValueDate: IsoDateOrBlank;
+  ClosingValueINR: number;
+  GrossDividendsINR: number;
+  GrossProceedsINR: number;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "Schedule112ARow".
+ */
+export interface Schedule112ARow {
+  OwnerId: Identifier;
+  FinancialYear: FinancialYear;
+  ShareOnOrBefore: 'BE' | 'AE';
+  ISINCode: StringOrBlank;
+  ShareUnitName: StringOrBlank;
+  NumSharesUnits: number;
+  SalePricePerShareUnit: number;
+  TotSaleValue: number;
+  CostAcqWithoutIndx: number;
+  AcquisitionCost: number;
+  LTCAAcquiredBf: number;
+  FairMktValuePerShareunit: number;
+  TotFairMktValueCapAst: number;
+  ExpExclCnctTransfer: number;
+  TotalDeductions: number;
+  Balance: number;
+}
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "ScheduleCGRow".
+ */
+export interface ScheduleCGRow {
+  OwnerId: Identifier;
+  FinancialYear: FinancialYear;
+  Section: '111A' | '112A' | '112' | 'STCG_OTHER';
+  GainType: 'STCG' | 'LTCG';
+  TaxRate: TaxRate;
+  FullValueConsdnINR: number;
+  DeductSec48INR: number;
+  BalanceINR: number;
+  Upto15Of6: number;
+  Upto15Of9: number;
+  Up16Of9To15Of12: number;
+  Up16Of12To15Of3: number;
+  Up16Of3To31Of3: number;
+}
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "CashBalanceRow".
@@ -462,10 +857,13 @@ export interface XIRRCashflowRow {
  */
 export interface RBIAgeingRow {
   OwnerId: Identifier;
+  AccountId: Identifier;
+  Currency: Identifier;
   StartDate: IsoDate;
   RemainingAmount: number;
-  AgeDays: NumberOrBlank;
-  Status: StringOrBlank;
+  AgeDays: number;
+  DeadlineDate: IsoDate;
+  Status: 'OK' | 'CLOSE TO BREACH' | 'BREACH';
 }
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
@@ -519,6 +917,30 @@ export interface SensitivitySummaryRow {
   LotCount: number;
   TypeMix: 'S' | 'L' | 'MIX';
 }
+/**
+ * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
+ * via the `definition` "HarvestCandidateRow".
+ */
+export interface HarvestCandidateRow {
+  OwnerId: Identifier;
+  TaxableOwnerId: Identifier;
+  FinancialYear: FinancialYear;
+  LotId: Identifier;
+  SourceId: Identifier;
+  SecurityId: Identifier;
+  AccountId: StringOrBlank;
+  BuyDate: IsoDate;
+  Qty: number;
+  CostINR: number;
+  ValueINR: number;
+  GainINR: number;
+  GainType: 'STCG' | 'LTCG';
+  TaxSavedINR: number;
+  FifoLotsAhead: number;
+  FifoAheadGainINR: number;
+  FifoNetGainINR: number;
+  FifoTaxSavedINR: number;
+}
 /**
  * This interface was referenced by `NeoLedgerDataModelRegistry`'s JSON-Schema
  * via the `definition` "ParserPeriod".